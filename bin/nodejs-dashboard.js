@@ -2,11 +2,27 @@
 "use strict";
 
 var SocketIO = require("socket.io");
-var spawn = require("cross-spawn");
 var commander = require("commander");
+var fs = require("fs");
 var path = require("path");
+var tty = require("tty");
+var http = require("http");
+var _ = require("lodash");
 
+var Alerts = require("../lib/alerts");
+var AppProcess = require("../lib/app-process");
+var attach = require("../lib/attach");
+var Budget = require("../lib/budget");
 var Dashboard = require("../lib/dashboard");
+var FileWatcher = require("../lib/file-watcher");
+var generateLayouts = require("../lib/generate-layouts");
+var HeadlessReporter = require("../lib/headless-reporter");
+var LogProvider = require("../lib/providers/log-provider");
+var LogWriter = require("../lib/log-writer");
+var MetricsProvider = require("../lib/providers/metrics-provider");
+var PrometheusExporter = require("../lib/prometheus-exporter");
+var Recorder = require("../lib/recorder");
+var Replayer = require("../lib/replayer");
 var config = require("../lib/config");
 var appPkg = require(path.resolve("package.json"));
 var pkg = require("../package.json");
@@ -26,22 +42,166 @@ var exitWithError = function () {
 };
 /* eslint-enable no-console */
 
+program.option("-a, --attach [[host:]port]",
+  "Only listen for agents of apps that are already running, instead of launching one");
+
+program.option("--alert <rule>",
+  "Alert when a metric crosses a threshold, ex: cpu.utilization>90@10s (repeatable)",
+  function (rule, rules) {
+    try {
+      return rules.concat(Alerts.parseRule(rule));
+    } catch (err) {
+      return exitWithError("error:", err.message);
+    }
+  },
+  []);
+
+program.option("--budget <file>",
+  "Exit with an error when the app exits or the dashboard is quit, if the metrics exceed "
+    + "a JSON file of budgets");
+
+program.option("--color",
+  "Set FORCE_COLOR for the app, so that its colored output is shown in colors");
+
 program.option("-e, --eventdelay [ms]",
   "Minimum threshold for event loop reporting, default 10ms",
   config.BLOCKED_THRESHOLD);
 
+program.option("--headless",
+  "Write metrics instead of showing the dashboard, for when there is no terminal");
+
+program.option("--format <format>",
+  "Headless metrics format, 'json' lines or 'csv', default json",
+  "json");
+
+program.option("--columns <paths>",
+  "Comma separated metric paths of the CSV columns, default those of the first sample",
+  function (paths) { return _.compact(_.map(paths.split(","), _.trim)); });
+
+program.option("--output <file>",
+  "Write headless metrics to a file instead of stdout");
+
+program.option("--aggregates",
+  "Also write headless metrics averaged at every aggregation level");
+
+program.option("--prefix-output",
+  "Prefix each line of the app's stdout and stderr when headless");
+
 program.option("-l, --layouts [file]",
   "Path to file with layouts",
   config.LAYOUTS);
 
+program.option("--log-dir <dir>",
+  "Also write the app's stdout and stderr to rotating files in a directory");
+
+program.option("--log-rotate <rotation>",
+  "Rotate log files at a size and/or age, ex: 10mb,1d (default 10mb)",
+  function (rotation) {
+    try {
+      return LogWriter.parseRotation(rotation);
+    } catch (err) {
+      return exitWithError("error:", err.message);
+    }
+  });
+
+program.option("--log-keep <count>",
+  "Number of rotated files to keep of each log, default 5",
+  function (count) {
+    if (!/^\d+$/.test(count)) {
+      exitWithError("error: invalid log keep count '" + count + "'");
+    }
+
+    return +count;
+  });
+
+program.option("--log-timestamps",
+  "Prefix each line of the log files with the time it was received");
+
+program.option("--log-metrics",
+  "Also write metrics to metrics.log in the log directory");
+
+program.option("--log-match <match>",
+  "Count the lines matching a regex in the logRate graph, ex: error=ERROR|FATAL (repeatable)",
+  function (match, matches) {
+    try {
+      return _.assign({}, matches, LogProvider.parseMatch(match));
+    } catch (err) {
+      return exitWithError("error:", err.message);
+    }
+  });
+
 program.option("-p, --port [port]",
   "Socket listener port",
   config.PORT);
 
+program.option("--restart [policy]",
+  "Restart the app when it exits, 'on-failure' (default) or 'always'");
+
 program.option("-r, --refreshinterval [ms]",
   "Metrics refresh interval, default 1000ms",
   config.REFRESH_INTERVAL);
 
+program.option("--prometheus-port <port>",
+  "Serve the latest metrics for Prometheus on this port at /metrics",
+  function (port) {
+    if (!/^\d+$/.test(port)) {
+      exitWithError("error: invalid prometheus port '" + port + "'");
+    }
+
+    return +port;
+  });
+
+program.option("--record <file>",
+  "Record metrics, stdout and stderr to a file");
+
+program.option("--replay <file>",
+  "Replay a recorded session instead of launching an app");
+
+program.option("--replay-speed <speed>",
+  "Replay speed multiplier or 'instant', default 1",
+  function (speed) {
+    if (speed !== "instant" && !(+speed > 0)) {
+      exitWithError("error: replay speed should be a positive number or 'instant': " + speed);
+    }
+
+    return speed === "instant" ? speed : +speed;
+  },
+  1);
+
+program.option("--watch <globs>",
+  "Restart the app when files matching comma separated globs change, ex: 'lib/**/*.js'",
+  function (globs, list) { return list.concat(FileWatcher.parseGlobs(globs)); },
+  []);
+
+program.option("--watch-ignore <globs>",
+  "Globs of files not to watch, besides node_modules and .git",
+  function (globs, list) { return list.concat(FileWatcher.parseGlobs(globs)); },
+  []);
+
+program.option("--retention <retention>",
+  "How long to keep each graph aggregation level, ex: 1s=1h,1m=7d (default 3600 of each)",
+  function (retention) {
+    try {
+      return MetricsProvider.parseRetention(retention);
+    } catch (err) {
+      return exitWithError("error:", err.message);
+    }
+  });
+
+program.option("--stdin",
+  "Pipe the dashboard's stdin to the app when it is not a terminal");
+
+program.option("--time-axis <axis>",
+  "Show graph times as 'elapsed' time (default) or on the 'local' or 'utc' wall clock",
+  function (axis) {
+    if (MetricsProvider.TIME_AXES.indexOf(axis) === -1) {
+      exitWithError("error: time axis should be one of "
+        + MetricsProvider.TIME_AXES.join(", ") + ": " + axis);
+    }
+
+    return axis;
+  });
+
 program.option("-s, --settings [settings]",
   "Overrides layout settings for given view types",
   function (settings) {
@@ -60,41 +220,204 @@ program.version(pkg.version);
 program.usage("[options] -- [node] [script] [arguments]");
 program.parse(process.argv);
 
-if (!program.args.length) {
+if (!program.args.length && !program.attach && !program.replay) {
   program.outputHelp();
   return;
 }
 
-var command = program.args[0];
-var args = program.args.slice(1);
+if (program.args.length && program.attach) {
+  exitWithError("error: --attach can not be used with a command to launch");
+}
+
+if (program.headless && program.replay) {
+  exitWithError("error: --headless can not be used with --replay");
+}
+
+if (program.budget && (program.attach || program.replay)) {
+  exitWithError("error: --budget requires launching an app");
+}
+
+if (program.watch.length && (program.attach || program.replay)) {
+  exitWithError("error: --watch requires launching an app");
+}
+
+if (program.color && (program.attach || program.replay)) {
+  exitWithError("error: --color requires launching an app");
+}
+
+if (program.stdin && (program.attach || program.replay)) {
+  exitWithError("error: --stdin requires launching an app");
+}
+
+if (program.columns && (!program.headless || program.format !== "csv")) {
+  exitWithError("error: --columns requires --headless --format csv");
+}
+
+if (program.headless && program.logMatch) {
+  exitWithError("error: --log-match can not be used with --headless");
+}
+
+if (!program.logDir && (program.logRotate || program.logKeep !== undefined
+  || program.logTimestamps || program.logMetrics)) {
+  exitWithError("error: --log-rotate, --log-keep, --log-timestamps and --log-metrics "
+    + "require --log-dir");
+}
+
+var recorder;
+var logWriter;
+var replayer;
+var reporter;
+var budget;
+var app;
+var watcher;
+var input;
+var dashboard;
+
+try {
+  recorder = program.record ? new Recorder(program.record) : undefined;
+  logWriter = program.logDir ? new LogWriter(program.logDir, {
+    rotation: program.logRotate,
+    keep: program.logKeep,
+    timestamps: program.logTimestamps,
+    metrics: program.logMetrics
+  }) : undefined;
+  replayer = program.replay ? new Replayer(program.replay, program.replaySpeed) : undefined;
+  budget = program.budget ? new Budget(program.budget) : undefined;
+  app = program.attach || program.replay ? undefined : new AppProcess(
+    program.args[0],
+    program.args.slice(1),
+    {
+      restart: program.restart === true ? "on-failure" : program.restart,
+      color: program.color
+    }
+  );
+  watcher = program.watch.length
+    ? new FileWatcher(program.watch, { ignore: program.watchIgnore })
+    : undefined;
+  reporter = program.headless ? new HeadlessReporter({
+    format: program.format,
+    columns: program.columns,
+    output: program.output,
+    aggregates: program.aggregates,
+    prefixOutput: program.prefixOutput,
+    retention: program.retention,
+    recorder: recorder,
+    logWriter: logWriter
+  }) : undefined;
+} catch (err) {
+  exitWithError("error:", err.message);
+}
+
+// the dashboard reads its keys from the terminal when its stdin is piped to the app
+var pipeStdin = program.stdin && !process.stdin.isTTY;
+
+if (pipeStdin && !reporter) {
+  try {
+    input = new tty.ReadStream(fs.openSync("/dev/tty", "r"));
+  } catch (err) {
+    exitWithError("error: --stdin needs a terminal to read keys from:", err.message);
+  }
+}
+
+// headless metrics may be written to stdout, so keep it clean
+/* eslint-disable no-console */
+var log = reporter && !program.output ? console.error : console.log;
+/* eslint-enable no-console */
+
+// the app exiting, or the dashboard being quit, exits with the budget results
+var exitWithApp = function (code) {
+  var status = code === null ? 1 : code;
+
+  dashboard.close();
+
+  if (budget) {
+    var results = budget.evaluate();
+    log(Budget.getSummary(results));
+
+    if (!_.every(results, "passed")) {
+      status = status || 1;
+    }
+  }
+
+  process.exit(status); // eslint-disable-line no-process-exit
+};
+
+var createDashboard = function (startTime) {
+  return new Dashboard({
+    appName: appName,
+    program: program,
+    // the layouts file also holds alert rules, it is only read once for both
+    layoutsConfig: generateLayouts.loadConfig(program.layouts),
+    settings: program.settings,
+    alerts: program.alert,
+    retention: program.retention,
+    timeAxis: program.timeAxis,
+    logMatches: program.logMatch,
+    recorder: recorder,
+    logWriter: logWriter,
+    input: input,
+    sendInput: app ? app.write.bind(app) : undefined,
+    getInputError: app ? app.getInputError.bind(app) : undefined,
+    onQuit: function () {
+      exitWithApp(0);
+    },
+    startTime: startTime
+  });
+};
+
+if (replayer) {
+  dashboard = createDashboard(replayer.startTime);
+  replayer.start(dashboard);
+  return;
+}
+
+// attach may specify where to listen as [host:]port
+var address = attach.parseAddress(program.attach, program.port);
+var port = address.port;
+var host = address.host;
 
-var port = program.port;
+if (!/^\d+$/.test(port)) {
+  exitWithError("error: invalid port '" + port + "'");
+}
 
 process.env[config.PORT_KEY] = port;
 process.env[config.REFRESH_INTERVAL_KEY] = program.refreshinterval;
 process.env[config.BLOCKED_THRESHOLD_KEY] = program.eventdelay;
 
+log("Waiting for client connection on %s...", (host ? host + ":" : "") + port);
 
-var child = spawn(command, args, {
-  env: process.env,
-  stdio: [null, null, null, null],
-  detached: true
-});
+var httpServer = http.createServer();
+var server = new SocketIO(httpServer);
+httpServer.listen(port, host);
 
-console.log("Waiting for client connection on %d...", port); //eslint-disable-line
+dashboard = reporter || createDashboard();
 
-var server = new SocketIO(port);
+var exporter;
 
-var dashboard = new Dashboard({
-  appName: appName,
-  program: program,
-  layoutsFile: program.layouts,
-  settings: program.settings
-});
+if (program.prometheusPort) {
+  exporter = new PrometheusExporter({ appName: appName });
+  exporter.listen(program.prometheusPort, function (err) {
+    if (err) {
+      // the terminal is given back first, for the error to be seen
+      dashboard.close();
+      exitWithError("error: failed to serve prometheus metrics:", err.message);
+    }
+  });
+}
 
 server.on("connection", function (socket) {
   socket.on("metrics", function (data) {
-    dashboard.onEvent({ type: "metrics", data: JSON.parse(data) });
+    var metrics = JSON.parse(data);
+
+    if (exporter) {
+      exporter.update(metrics);
+    }
+
+    if (budget) {
+      budget.record(metrics);
+    }
+
+    dashboard.onEvent({ type: "metrics", data: metrics });
   });
 
   socket.on("error", function (err) {
@@ -102,14 +425,61 @@ server.on("connection", function (socket) {
   });
 });
 
-child.stdout.on("data", function (data) {
-  dashboard.onEvent({ type: "stdout", data: data.toString("utf8") });
-});
+if (app) {
+  ["stdout", "stderr"].forEach(function (stream) {
+    app.on(stream, function (data) {
+      dashboard.onEvent({ type: stream, data: data });
+    });
+  });
 
-child.stderr.on("data", function (data) {
-  dashboard.onEvent({ type: "stderr", data: data.toString("utf8") });
-});
+  ["start", "exit"].forEach(function (event) {
+    app.on(event, function (data) {
+      dashboard.onEvent({ type: "app", data: data });
+    });
+  });
 
-process.on("exit", function () {
-  process.kill(process.platform === "win32" ? child.pid : -child.pid);
-});
+  // without a dashboard to look at, or when gating on budgets, there is no
+  // reason to outlive the app, unless it may be restarted when files change
+  app.on("exit", function (exit) {
+    if ((reporter || budget) && !watcher && exit.restartDelay === undefined) {
+      exitWithApp(exit.code);
+    }
+  });
+
+  process.on("exit", function () {
+    app.stop();
+  });
+
+  app.start();
+
+  if (pipeStdin) {
+    process.stdin.on("data", function (data) {
+      app.write(data);
+    });
+
+    process.stdin.on("end", function () {
+      app.endInput();
+    });
+  }
+
+  if (watcher) {
+    watcher.on("change", function (files) {
+      app.restart(FileWatcher.describe(files));
+    });
+
+    watcher.on("error", function (err) {
+      exitWithError("error: failed to watch files:", err.message);
+    });
+
+    try {
+      watcher.start();
+    } catch (err) {
+      exitWithError("error: failed to watch files:", err.message);
+    }
+  }
+} else if (!reporter) {
+  // the output of attached apps goes wherever they were started from
+  ["stdout", "stderr"].forEach(function (stream) {
+    dashboard.onEvent({ type: stream, data: attach.getOutputNotice(stream, process.env) });
+  });
+}
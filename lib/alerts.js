@@ -0,0 +1,229 @@
+"use strict";
+
+var _ = require("lodash");
+var time = require("./time");
+
+// keep the most recent alerts only, so a flapping rule can't grow memory forever
+var MAX_ALERTS = 100;
+
+var COMPARATORS = {
+  ">": function (value, threshold) { return value > threshold; },
+  ">=": function (value, threshold) { return value >= threshold; },
+  "<": function (value, threshold) { return value < threshold; },
+  "<=": function (value, threshold) { return value <= threshold; },
+  "==": function (value, threshold) { return value === threshold; },
+  "!=": function (value, threshold) { return value !== threshold; }
+};
+
+// the graph views of the metrics reported by the agent, used when a rule names no views
+var METRIC_VIEWS = {
+  cpu: ["cpu"],
+  eventLoop: ["eventLoop"],
+  mem: ["memoryGraph"],
+  gc: ["gc"],
+  heap: ["heapSpaces"],
+  log: ["logRate"]
+};
+
+// ex: cpu.utilization>90@10s, a duration without units being in ms
+var RULE_PATTERN = /^([\w.]+)(>=|<=|==|!=|>|<)(-?\d+(?:\.\d+)?)(?:@(\d+(?:\.\d+)?[a-z]*))?$/;
+var RULE_PARTS = ["rule", "metric", "comparator", "threshold", "duration"];
+
+/**
+ * Validate an alert rule and fill in its defaults.
+ *
+ * @param {Object} rule
+ * The rule, with the metric path, comparator, threshold and optionally the
+ * duration (in ms) the threshold must be crossed for and the views it affects.
+ *
+ * @throws {Error}
+ * An error is thrown if the rule is invalid.
+ *
+ * @returns {Object}
+ * The complete rule is returned.
+ */
+var createRule = function (rule) {
+  if (!rule || !_.isString(rule.metric) || !COMPARATORS[rule.comparator]
+    || !_.isFinite(rule.threshold)) {
+    throw new Error("Alert rule requires metric, comparator and threshold: "
+      + JSON.stringify(rule));
+  }
+
+  return {
+    metric: rule.metric,
+    comparator: rule.comparator,
+    threshold: rule.threshold,
+    duration: rule.duration || 0,
+    views: rule.views || METRIC_VIEWS[rule.metric.split(".")[0]] || []
+  };
+};
+
+/**
+ * This is the constructor for Alerts, which evaluates alert rules against
+ * the metrics as they are received.
+ *
+ * @param {Object[]} [rules]
+ * The alert rules.
+ *
+ * @returns {void}
+ */
+var Alerts = function Alerts(rules) {
+  this.rules = _.map(rules, createRule);
+
+  // when each rule started crossing its threshold, and its active alert
+  this._states = _.map(this.rules, function (rule) {
+    return { rule: rule, since: undefined, alert: null };
+  });
+
+  this.alerts = [];
+};
+
+/**
+ * Parse an alert rule written as <metric><comparator><threshold>[@<duration>]
+ * (ex: cpu.utilization>90@10s).
+ *
+ * @param {String} source
+ * The rule to parse.
+ *
+ * @throws {Error}
+ * An error is thrown if the rule is invalid.
+ *
+ * @returns {Object}
+ * The rule is returned.
+ */
+Alerts.parseRule = function (source) {
+  var match = RULE_PATTERN.exec(source.replace(/\s+/g, ""));
+
+  if (!match) {
+    throw new Error("alert should have format <metric><comparator><threshold>[@<duration>]"
+      + " (ex: cpu.utilization>90@10s): " + source);
+  }
+
+  var parts = _.zipObject(RULE_PARTS, match);
+  var duration = parts.duration || 0;
+
+  if (/[a-z]$/.test(duration)) {
+    try {
+      duration = time.parseDuration(duration);
+    } catch (err) {
+      throw new Error("invalid alert " + source + ", " + err.message);
+    }
+  }
+
+  return createRule({
+    metric: parts.metric,
+    comparator: parts.comparator,
+    threshold: +parts.threshold,
+    duration: +duration
+  });
+};
+
+/**
+ * Describe an alert rule for display.
+ *
+ * @param {Object} rule
+ * The rule to describe.
+ *
+ * @returns {String}
+ * The description is returned (ex: cpu.utilization > 90 for 10s).
+ */
+Alerts.describeRule = function (rule) {
+  var description = rule.metric + " " + rule.comparator + " " + rule.threshold;
+
+  return rule.duration
+    ? description + " for " + time.formatDuration(rule.duration)
+    : description;
+};
+
+/**
+ * Evaluate the rules against metrics received.
+ *
+ * @param {Object} data
+ * The metrics received.
+ *
+ * @param {Number} receivedTime
+ * The time the metrics were received.
+ *
+ * @returns {Object[]}
+ * The alerts that became active or were resolved are returned.
+ */
+Alerts.prototype.check = function (data, receivedTime) {
+  return _.compact(_.map(this._states, function (state) {
+    var rule = state.rule;
+    var value = _.get(data, rule.metric);
+
+    // metrics that are not reported (yet) neither raise nor resolve alerts
+    if (!_.isFinite(value)) {
+      return null;
+    }
+
+    if (!COMPARATORS[rule.comparator](value, rule.threshold)) {
+      state.since = undefined;
+      return this._resolve(state, receivedTime);
+    }
+
+    if (state.since === undefined) {
+      state.since = receivedTime;
+    }
+
+    // raise the alert once the threshold has been crossed long enough
+    if (state.alert || receivedTime - state.since < rule.duration) {
+      return null;
+    }
+
+    return this._raise(state, value, receivedTime);
+  }.bind(this)));
+};
+
+/**
+ * Get the alerts raised, oldest first.
+ *
+ * @returns {Object[]}
+ * The alerts, active and resolved, are returned.
+ */
+Alerts.prototype.getAlerts = function () {
+  return this.alerts;
+};
+
+/**
+ * Get the alerts that are active.
+ *
+ * @returns {Object[]}
+ * The active alerts are returned.
+ */
+Alerts.prototype.getActiveAlerts = function () {
+  return _.filter(this.alerts, "active");
+};
+
+Alerts.prototype._raise = function (state, value, raisedTime) {
+  state.alert = {
+    rule: state.rule,
+    value: value,
+    active: true,
+    time: raisedTime,
+    resolvedTime: undefined
+  };
+
+  this.alerts.push(state.alert);
+  if (this.alerts.length > MAX_ALERTS) {
+    this.alerts.shift();
+  }
+
+  return state.alert;
+};
+
+Alerts.prototype._resolve = function (state, resolvedTime) {
+  var alert = state.alert;
+
+  if (!alert) {
+    return null;
+  }
+
+  alert.active = false;
+  alert.resolvedTime = resolvedTime;
+  state.alert = null;
+
+  return alert;
+};
+
+module.exports = Alerts;
@@ -0,0 +1,149 @@
+"use strict";
+
+var _ = require("lodash");
+
+var ESCAPE = "\u001b";
+var BELL = "\u0007";
+
+// CSI sequences (ex: colors, cursor moves), OSC sequences (ex: window titles)
+// and any other escape, colors being the CSI sequences ending with "m"
+var ESCAPE_PATTERN = new RegExp([
+  ESCAPE + "\\[([0-?]*)[ -/]*([@-~])",
+  ESCAPE + "\\][^" + BELL + ESCAPE + "]*(?:" + BELL + "|" + ESCAPE + "\\\\)?",
+  ESCAPE + "[@-_]?"
+].join("|"), "g");
+
+var SGR_PARAMS = /^[\d;]*$/;
+
+// the colors of codes 30-37 (fg) and 40-47 (bg), light with 90-97 and 100-107
+var COLORS = ["black", "red", "green", "yellow", "blue", "magenta", "cyan", "white"];
+var COLOR_RANGES = [
+  { first: 30, layer: "fg", prefix: "" },
+  { first: 40, layer: "bg", prefix: "" },
+  { first: 90, layer: "fg", prefix: "light-" },
+  { first: 100, layer: "bg", prefix: "light-" }
+];
+
+var RESET = 0;
+var DEFAULT_COLORS = { 39: "fg", 49: "bg" };
+var EXTENDED_COLORS = { 38: "fg", 48: "bg" };
+var ATTRIBUTES = { 1: "bold", 4: "underline", 5: "blink", 7: "inverse", 8: "invisible" };
+var ATTRIBUTE_RESETS = { 22: "bold", 24: "underline", 25: "blink", 27: "inverse", 28: "invisible" };
+
+// extended colors are 5;n for one of 256 colors, or 2;r;g;b
+var PALETTE_COLOR = 5;
+var PALETTE_SIZE = 256;
+var RGB_COLOR = 2;
+var RGB_LENGTH = 3;
+var HEX = 16;
+var HEX_LENGTH = 2;
+
+var getColor = function (code) {
+  var range = _.find(COLOR_RANGES, function (candidate) {
+    return code >= candidate.first && code < candidate.first + COLORS.length;
+  });
+
+  return range && { layer: range.layer, name: range.prefix + COLORS[code - range.first] };
+};
+
+// read an extended color from the codes that follow 38 or 48
+var readExtendedColor = function (codes) {
+  var type = codes.shift();
+  var index;
+
+  if (type === PALETTE_COLOR) {
+    index = codes.shift();
+    return index < PALETTE_SIZE ? String(index) : undefined;
+  }
+
+  if (type === RGB_COLOR) {
+    return "#" + _.map(codes.splice(0, RGB_LENGTH), function (value) {
+      return _.padStart(_.clamp(value, 0, PALETTE_SIZE - 1).toString(HEX), HEX_LENGTH, "0");
+    }).join("");
+  }
+
+  return undefined;
+};
+
+var setColor = function (state, layer, name) {
+  var tags = state[layer] ? "{/" + state[layer] + "-" + layer + "}" : "";
+
+  state[layer] = name;
+
+  return name ? tags + "{" + name + "-" + layer + "}" : tags;
+};
+
+var setAttribute = function (state, attribute, on) {
+  if (_.includes(state.attributes, attribute) === on) {
+    return "";
+  }
+
+  state.attributes = on
+    ? state.attributes.concat(attribute)
+    : _.without(state.attributes, attribute);
+
+  return on ? "{" + attribute + "}" : "{/" + attribute + "}";
+};
+
+var reset = function (state) {
+  var isStyled = state.fg || state.bg || state.attributes.length;
+
+  state.fg = undefined;
+  state.bg = undefined;
+  state.attributes = [];
+
+  return isStyled ? "{/}" : "";
+};
+
+// the tags of a Select Graphic Rendition sequence, ex: 1;31 for bold red
+var getSgrTags = function (state, params) {
+  var codes = _.map(params.split(";"), Number);
+  var tags = "";
+  var code;
+  var color;
+
+  while (codes.length) {
+    code = codes.shift();
+    color = getColor(code);
+
+    if (color) {
+      tags += setColor(state, color.layer, color.name);
+    } else if (EXTENDED_COLORS[code]) {
+      tags += setColor(state, EXTENDED_COLORS[code], readExtendedColor(codes));
+    } else if (DEFAULT_COLORS[code]) {
+      tags += setColor(state, DEFAULT_COLORS[code]);
+    } else if (ATTRIBUTES[code] || ATTRIBUTE_RESETS[code]) {
+      tags += setAttribute(state, ATTRIBUTES[code] || ATTRIBUTE_RESETS[code], !!ATTRIBUTES[code]);
+    } else if (code === RESET) {
+      tags += reset(state);
+    }
+  }
+
+  return tags;
+};
+
+/**
+ * Translate the ANSI colors and attributes of a line of output (ex: from a
+ * colored logger) into blessed tags.  Other escape sequences (ex: cursor
+ * moves) are removed, and the styles are closed at the end of the line.
+ *
+ * @param {String} line
+ * The line to translate.
+ *
+ * @returns {String}
+ * The tagged line is returned.
+ */
+exports.toTags = function (line) {
+  var state = { attributes: [] };
+  var tagged;
+
+  if (line.indexOf(ESCAPE) === -1) {
+    return line;
+  }
+
+  tagged = line.replace(ESCAPE_PATTERN, function (sequence, params, command) {
+    return command === "m" && SGR_PARAMS.test(params) ? getSgrTags(state, params) : "";
+  });
+
+  return tagged + reset(state);
+};
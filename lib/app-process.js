@@ -0,0 +1,298 @@
+"use strict";
+
+var EventEmitter = require("events").EventEmitter;
+var spawn = require("cross-spawn");
+var _ = require("lodash");
+var constants = require("./constants");
+var time = require("./time");
+
+var RESTART_POLICIES = ["on-failure", "always"];
+
+// restarts back off exponentially, unless the app stayed up for a while
+var RESTART_DELAY = 1000;
+var RESTART_BACKOFF = 2;
+var MAX_RESTART_DELAY = 30000;
+var RESTART_BACKOFF_RESET = 10000;
+
+/**
+ * This is the constructor for the AppProcess, which spawns the app and
+ * restarts it as configured when it exits.
+ *
+ * @param {String} command
+ * The command to launch the app.
+ *
+ * @param {String[]} args
+ * The arguments of the command.
+ *
+ * @param {Object} [options]
+ * Options that may be specified, restart is the restart policy, one of
+ * "on-failure" or "always".  The app is not restarted without one.  color
+ * sets FORCE_COLOR for the app, so that its output is colored even though it
+ * is piped.
+ *
+ * @returns {void}
+ */
+var AppProcess = function AppProcess(command, args, options) {
+  EventEmitter.call(this);
+
+  this.command = command;
+  this.args = args;
+  this.options = options || {};
+
+  if (this.options.restart && RESTART_POLICIES.indexOf(this.options.restart) === -1) {
+    throw new Error("Unknown restart policy '" + this.options.restart
+      + "', expected one of " + RESTART_POLICIES.join(", "));
+  }
+
+  this.child = null;
+  this.restarts = 0;
+  this.exits = [];
+  this._failures = 0;
+};
+
+AppProcess.prototype = Object.create(EventEmitter.prototype);
+
+/**
+ * Describe an event of the app for display.
+ *
+ * @param {Object} data
+ * The event data, emitted as "start" or "exit".
+ *
+ * @param {Number} eventTime
+ * The time of the event.
+ *
+ * @returns {String}
+ * The description is returned.
+ */
+AppProcess.describe = function (data, eventTime) {
+  var description;
+
+  if (data.event === "start") {
+    return (data.restarts ? "app restarted" : "app started") + " (pid " + data.pid + ") at "
+      + time.getClockTime(eventTime);
+  }
+
+  description = data.signal
+    ? "app was killed by " + data.signal
+    : "app exited with code " + data.code;
+  description += " at " + time.getClockTime(eventTime);
+
+  if (data.restartDelay) {
+    description += ", restarting in "
+      + data.restartDelay / constants.MILLISECONDS_PER_SECOND + "s";
+  } else if (data.restartDelay === 0) {
+    description += ", restarting";
+  }
+
+  if (data.reason) {
+    description += " (" + data.reason + ")";
+  }
+
+  return description;
+};
+
+/**
+ * Spawn the app.
+ *
+ * @returns {void}
+ */
+AppProcess.prototype.start = function () {
+  this._stopped = false;
+  this._restartReason = undefined;
+  this._startTime = Date.now();
+
+  this.child = spawn(this.command, this.args, {
+    env: this.getEnv(),
+    stdio: [null, null, null, null],
+    detached: true
+  });
+
+  _.each(["stdout", "stderr"], function (stream) {
+    this.child[stream].on("data", function (data) {
+      this.emit(stream, data.toString("utf8"));
+    }.bind(this));
+  }.bind(this));
+
+  this.child.on("error", function (err) {
+    this.emit("stderr", "Failed to start " + this.command + ": " + err.message + "\n");
+  }.bind(this));
+
+  // the app may exit before reading its input
+  this.child.stdin.on("error", _.noop);
+
+  if (this._inputEnded) {
+    this.child.stdin.end();
+  }
+
+  this.child.on("close", this._onClose.bind(this));
+
+  this.emit("start", { event: "start", pid: this.child.pid, restarts: this.restarts });
+};
+
+/**
+ * Get the environment of the app.
+ *
+ * @returns {Object}
+ * The environment variables are returned.
+ */
+AppProcess.prototype.getEnv = function () {
+  if (!this.options.color) {
+    return process.env;
+  }
+
+  // a level of color set by the user is kept
+  return _.defaults({}, process.env, { FORCE_COLOR: "1" });
+};
+
+/**
+ * Write to the stdin of the app (ex: lines typed in the dashboard).
+ *
+ * @param {String} data
+ * The input to write.
+ *
+ * @returns {Boolean}
+ * Whether the input was written is returned, false when the app isn't
+ * running or its input has ended.
+ */
+AppProcess.prototype.write = function (data) {
+  if (this.getInputError()) {
+    return false;
+  }
+
+  this.child.stdin.write(data);
+  return true;
+};
+
+/**
+ * Get why input can't be written to the app, if it can't.
+ *
+ * @returns {String}
+ * The reason is returned, "app input ended" or "app not running", null when
+ * input can be written.
+ */
+AppProcess.prototype.getInputError = function () {
+  if (this._inputEnded) {
+    return "app input ended";
+  }
+
+  return this.child ? null : "app not running";
+};
+
+/**
+ * End the stdin of the app, and of the app once restarted (ex: the input
+ * piped to the dashboard ended).
+ *
+ * @returns {void}
+ */
+AppProcess.prototype.endInput = function () {
+  this._inputEnded = true;
+
+  if (this.child) {
+    this.child.stdin.end();
+  }
+};
+
+/**
+ * Stop the app, including any process it started, without restarting it.
+ *
+ * @returns {void}
+ */
+AppProcess.prototype.stop = function () {
+  this._stopped = true;
+  clearTimeout(this._restartTimeout);
+
+  if (this.child) {
+    this._kill();
+  }
+};
+
+/**
+ * Restart the app now (ex: its files changed), whether it is running or not.
+ *
+ * @param {String} [reason]
+ * Why the app is restarted, for display.
+ *
+ * @returns {void}
+ */
+AppProcess.prototype.restart = function (reason) {
+  clearTimeout(this._restartTimeout);
+
+  if (!this.child) {
+    this.restarts++;
+    this.start();
+    return;
+  }
+
+  // the app is started again as soon as it closes
+  this._restartReason = reason || "";
+  this._kill();
+};
+
+/**
+ * Get the delay before restarting the app, if it should be restarted.
+ *
+ * @param {Number} code
+ * The exit code of the app, null when it was killed.
+ *
+ * @returns {Number}
+ * The delay in ms is returned, undefined when the app should not be restarted.
+ */
+AppProcess.prototype.getRestartDelay = function (code) {
+  var policy = this.options.restart;
+
+  if (this._stopped) {
+    return undefined;
+  }
+
+  // restarts that were asked for are immediate and are not failures
+  if (this._restartReason !== undefined) {
+    return 0;
+  }
+
+  if (!policy || policy === "on-failure" && code === 0) {
+    return undefined;
+  }
+
+  // an app that stayed up for a while is not failing repeatedly
+  if (Date.now() - this._startTime >= RESTART_BACKOFF_RESET) {
+    this._failures = 0;
+  }
+
+  return Math.min(RESTART_DELAY * Math.pow(RESTART_BACKOFF, this._failures++), MAX_RESTART_DELAY);
+};
+
+// kill the app along with any process it started
+AppProcess.prototype._kill = function () {
+  try {
+    process.kill(process.platform === "win32" ? this.child.pid : -this.child.pid);
+  } catch (err) {
+    // the app has already exited
+  }
+};
+
+AppProcess.prototype._onClose = function (code, signal) {
+  var exit = {
+    event: "exit",
+    code: code,
+    signal: signal,
+    restartDelay: this.getRestartDelay(code)
+  };
+
+  if (this._restartReason) {
+    exit.reason = this._restartReason;
+  }
+
+  this.child = null;
+  this.exits.push(exit);
+
+  if (exit.restartDelay !== undefined) {
+    this._restartTimeout = setTimeout(function () {
+      this.restarts++;
+      this.start();
+    }.bind(this), exit.restartDelay);
+  }
+
+  this.emit("exit", exit);
+};
+
+module.exports = AppProcess;
@@ -0,0 +1,48 @@
+"use strict";
+
+var config = require("./config");
+
+var ENV_KEYS = [config.PORT_KEY, config.REFRESH_INTERVAL_KEY, config.BLOCKED_THRESHOLD_KEY];
+
+/**
+ * Parse the address to listen on for agents of apps that are already running.
+ *
+ * @param {String|Boolean} attach
+ * The value of --attach, [host:]port, or true when it has none.
+ *
+ * @param {String|Number} defaultPort
+ * The port to listen on when none is given (ex: --port).
+ *
+ * @returns {Object}
+ * The host (undefined for all interfaces) and port are returned.
+ */
+exports.parseAddress = function (attach, defaultPort) {
+  if (typeof attach !== "string") {
+    return { host: undefined, port: defaultPort };
+  }
+
+  // hosts may be IPv6 addresses, the port follows the last colon
+  var address = attach.split(":");
+  var port = address.pop();
+
+  return { host: address.join(":") || undefined, port: port };
+};
+
+/**
+ * Get the line shown in place of the output of attached apps, which goes
+ * wherever they were started from.
+ *
+ * @param {String} stream
+ * stdout or stderr.
+ *
+ * @param {Object} env
+ * The environment the agents should be started with.
+ *
+ * @returns {String}
+ * The line is returned.
+ */
+exports.getOutputNotice = function (stream, env) {
+  return stream + " not captured, attached to apps started with "
+    + ENV_KEYS.map(function (key) { return key + "=" + env[key]; }).join(" ")
+    + "\n";
+};
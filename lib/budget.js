@@ -0,0 +1,139 @@
+"use strict";
+
+var fs = require("fs");
+var _ = require("lodash");
+var utils = require("./utils");
+
+var STATISTICS = utils.STATISTICS;
+
+var COLUMN_PADDING = 2;
+
+/**
+ * Load the budgets of a budget file, which maps metric paths to the limit of
+ * each statistic (ex: { "eventLoop.delay": { "max": 200 } }).
+ *
+ * @param {String} file
+ * The budget file to load.
+ *
+ * @throws {Error}
+ * An error is thrown if the budget file cannot be read or is invalid.
+ *
+ * @returns {Object[]}
+ * The budgets, each with its metric, statistic and limit, are returned.
+ */
+var loadBudgets = function (file) {
+  var config;
+
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error("Invalid budget " + file + ": " + err.message);
+  }
+
+  return _.flatMap(config, function (limits, metric) {
+    return _.map(limits, function (limit, statistic) {
+      if (!STATISTICS[statistic] || !_.isFinite(limit)) {
+        throw new Error("Invalid budget " + file + ": " + metric + " " + statistic
+          + " should be a number for one of " + _.keys(STATISTICS).join(", "));
+      }
+
+      return { metric: metric, statistic: statistic, limit: limit };
+    });
+  });
+};
+
+var getResult = function (result) {
+  if (result.passed) {
+    return "pass";
+  }
+
+  return result.actual === undefined ? "FAIL (no data)" : "FAIL";
+};
+
+/**
+ * This is the constructor for the Budget, which evaluates performance budgets
+ * over the metrics of a run.
+ *
+ * @param {String} file
+ * The budget file.
+ *
+ * @returns {void}
+ */
+var Budget = function Budget(file) {
+  this.budgets = loadBudgets(file);
+  this.values = _.reduce(this.budgets, function (prev, budget) {
+    prev[budget.metric] = [];
+
+    return prev;
+  }, {});
+};
+
+/**
+ * Record the metrics received.
+ *
+ * @param {Object} data
+ * The metrics received.
+ *
+ * @returns {void}
+ */
+Budget.prototype.record = function (data) {
+  _.each(this.values, function (values, metric) {
+    var value = _.get(data, metric);
+
+    if (_.isFinite(value)) {
+      values.push(value);
+    }
+  });
+};
+
+/**
+ * Evaluate the budgets over the metrics recorded.  A budget passes when the
+ * statistic does not exceed its limit; it fails when the metric was never
+ * reported.
+ *
+ * @returns {Object[]}
+ * The budgets are returned, each with the actual value and whether it passed.
+ */
+Budget.prototype.evaluate = function () {
+  return _.map(this.budgets, function (budget) {
+    var values = this.values[budget.metric];
+    var actual = values.length ? +STATISTICS[budget.statistic](values).toFixed(1) : undefined;
+
+    return _.assign({
+      actual: actual,
+      passed: actual !== undefined && actual <= budget.limit
+    }, budget);
+  }.bind(this));
+};
+
+/**
+ * Get a summary table of the budgets.
+ *
+ * @param {Object[]} results
+ * The evaluated budgets.
+ *
+ * @returns {String}
+ * The summary is returned.
+ */
+Budget.getSummary = function (results) {
+  var rows = [["Budget", "Limit", "Actual", "Result"]].concat(_.map(results, function (result) {
+    return [
+      result.metric + " " + result.statistic,
+      String(result.limit),
+      result.actual === undefined ? "-" : String(result.actual),
+      getResult(result)
+    ];
+  }));
+
+  var widths = _.map(rows[0], function (heading, column) {
+    return _.max(_.map(rows, function (row) { return row[column].length; })) + COLUMN_PADDING;
+  });
+
+  return _.map(rows, function (row) {
+    return _.trimEnd(_.map(row, function (cell, column) {
+      return _.padEnd(cell, widths[column]);
+    }).join(""));
+  }).join("\n");
+};
+
+module.exports = Budget;
@@ -7,6 +7,8 @@ var pkg = require("../package.json");
 var name = pkg.name.replace("-", "_");
 
 module.exports = {
+  HOST: "localhost",
+  HOST_KEY: name + "_HOST",
   PORT: 9838,
   PORT_KEY: name + "_PORT",
   REFRESH_INTERVAL: 1000,
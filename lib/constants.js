@@ -49,8 +49,12 @@ var TIME_SCALES = [
   }
 ];
 
+// what a valid time offset looks like (ex: 2y 5d 1:22:33)
+var TIME_LABEL_PATTERN = /^(\d+y)?\s*(\d{1,3}d)?\s*(\d{1,2})?(:\d{1,2})?(:\d{2})?$/i;
+
 module.exports = {
   AGGREGATE_TIME_LEVELS: AGGREGATE_TIME_LEVELS,
   MILLISECONDS_PER_SECOND: MILLISECONDS_PER_SECOND,
-  TIME_SCALES: TIME_SCALES
+  TIME_SCALES: TIME_SCALES,
+  TIME_LABEL_PATTERN: TIME_LABEL_PATTERN
 };
@@ -0,0 +1,106 @@
+"use strict";
+
+var assert = require("assert");
+var _ = require("lodash");
+var constants = require("./constants");
+
+var NANOSECONDS_PER_MILLISECOND = 1000000;
+
+/**
+ * Collects application defined metrics.  Names are dot-separated paths
+ * (ex: "queue.depth") that become nested properties of the custom metrics.
+ *
+ * Counters and timers are reported per refresh interval and start over after
+ * each report.  Gauges keep reporting the last value set.
+ *
+ * @returns {Object}
+ * The custom metrics collector is returned.
+ */
+var customMetrics = function () {
+  var counters = {};
+  var gauges = {};
+  var timers = {};
+
+  var assertMetric = function (name, value) {
+    assert(_.isString(name) && name.length > 0, "Custom metric requires a name");
+    assert(_.isFinite(value), "Custom metric " + name + " requires a numeric value");
+  };
+
+  var increment = function (name, value) {
+    value = value === undefined ? 1 : value;
+    assertMetric(name, value);
+
+    counters[name] = (counters[name] || 0) + value;
+  };
+
+  var gauge = function (name, value) {
+    assertMetric(name, value);
+
+    gauges[name] = value;
+  };
+
+  var timing = function (name, duration) {
+    assertMetric(name, duration);
+
+    var timer = timers[name] = timers[name] || { count: 0, total: 0, max: 0 };
+    timer.count++;
+    timer.total += duration;
+    timer.max = Math.max(timer.max, duration);
+  };
+
+  var startTimer = function (name) {
+    var start = process.hrtime();
+
+    return function () {
+      var elapsed = process.hrtime(start);
+      var duration = elapsed[0] * constants.MILLISECONDS_PER_SECOND
+        + elapsed[1] / NANOSECONDS_PER_MILLISECOND;
+
+      timing(name, duration);
+      return duration;
+    };
+  };
+
+  var getMetrics = function () {
+    var metrics = {};
+
+    _.each(counters, function (value, name) {
+      _.set(metrics, name, value);
+    });
+
+    _.each(gauges, function (value, name) {
+      _.set(metrics, name, value);
+    });
+
+    _.each(timers, function (timer, name) {
+      _.set(metrics, name, {
+        count: timer.count,
+        mean: timer.count ? timer.total / timer.count : 0,
+        max: timer.max
+      });
+    });
+
+    return metrics;
+  };
+
+  var reset = function () {
+    _.each(counters, function (value, name) {
+      counters[name] = 0;
+    });
+
+    _.each(timers, function (timer, name) {
+      timers[name] = { count: 0, total: 0, max: 0 };
+    });
+  };
+
+  return {
+    increment: increment,
+    gauge: gauge,
+    timing: timing,
+    startTimer: startTimer,
+    getMetrics: getMetrics,
+    reset: reset
+  };
+};
+
+module.exports = customMetrics;
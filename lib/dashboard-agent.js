@@ -4,12 +4,79 @@ var SocketIO = require("socket.io-client");
 var blocked = require("blocked");
 var pusage = require("pidusage");
 var os = require("os");
+var v8 = require("v8");
 var _ = require("lodash");
 var config = require("./config");
+var customMetrics = require("./custom-metrics");
+
+// perf_hooks (and its gc entries) is not available on older versions of node
+var perfHooks;
+try {
+  perfHooks = require("perf_hooks"); // eslint-disable-line global-require
+} catch (err) {
+  perfHooks = null;
+}
+
+// map the kinds of garbage collection reported by perf_hooks to metric keys
+var GC_KINDS = {};
+if (perfHooks && perfHooks.constants) {
+  GC_KINDS[perfHooks.constants.NODE_PERFORMANCE_GC_MINOR] = "scavenge";
+  GC_KINDS[perfHooks.constants.NODE_PERFORMANCE_GC_MAJOR] = "markSweep";
+  GC_KINDS[perfHooks.constants.NODE_PERFORMANCE_GC_INCREMENTAL] = "incremental";
+}
+
+// map the v8 heap spaces to metric keys, large object spaces are combined
+var HEAP_SPACES = {
+  "new_space": "newSpace",
+  "old_space": "oldSpace",
+  "code_space": "codeSpace",
+  "large_object_space": "largeObjectSpace",
+  "new_large_object_space": "largeObjectSpace",
+  "code_large_object_space": "largeObjectSpace"
+};
+
+var getHeapSpaces = function (memoryUsage) {
+  var heap = {
+    newSpace: 0,
+    oldSpace: 0,
+    codeSpace: 0,
+    largeObjectSpace: 0,
+    external: memoryUsage.external || 0,
+    arrayBuffers: memoryUsage.arrayBuffers || 0
+  };
+
+  // heap space statistics are not available on older versions of node
+  if (v8.getHeapSpaceStatistics) {
+    _.each(v8.getHeapSpaceStatistics(), function (space) {
+      if (HEAP_SPACES[space.space_name]) {
+        heap[HEAP_SPACES[space.space_name]] += space.space_used_size;
+      }
+    });
+  }
+
+  return heap;
+};
+
+var observeGc = function (callback) {
+  if (!perfHooks || !perfHooks.PerformanceObserver) {
+    return null;
+  }
+
+  var observer = new perfHooks.PerformanceObserver(function (list) {
+    _.each(list.getEntries(), function (entry) {
+      // newer versions of node report the kind in the entry detail
+      callback(entry.detail ? entry.detail.kind : entry.kind, entry.duration);
+    });
+  });
+  observer.observe({ entryTypes: ["gc"] });
+
+  return observer;
+};
 
 var dashboardAgent = function () {
 
   var options = {
+    host: process.env[config.HOST_KEY] || config.HOST,
     port: process.env[config.PORT_KEY],
     refreshInterval: process.env[config.REFRESH_INTERVAL_KEY],
     blockedThreshold: process.env[config.BLOCKED_THRESHOLD_KEY]
@@ -20,6 +87,8 @@ var dashboardAgent = function () {
   var enabled = options.port && options.refreshInterval && options.blockedThreshold;
 
   var socket;
+  var gcObserver;
+  var custom = customMetrics();
 
   var metrics = {
     eventLoop: {
@@ -31,6 +100,21 @@ var dashboardAgent = function () {
     },
     cpu: {
       utilization: 0
+    },
+    heap: {
+      newSpace: 0,
+      oldSpace: 0,
+      codeSpace: 0,
+      largeObjectSpace: 0,
+      external: 0,
+      arrayBuffers: 0
+    },
+    gc: {
+      count: 0,
+      pause: 0,
+      scavenge: 0,
+      markSweep: 0,
+      incremental: 0
     }
   };
 
@@ -39,8 +123,24 @@ var dashboardAgent = function () {
     metrics.eventLoop.delay = delay;
   };
 
+  var _gcObserved = function (kind, duration) {
+    metrics.gc.count++;
+    metrics.gc.pause += duration;
+
+    if (GC_KINDS[kind]) {
+      metrics.gc[GC_KINDS[kind]]++;
+    }
+  };
+
   var _getStats = function (cb) {
-    _.merge(metrics.mem, process.memoryUsage());
+    var memoryUsage = process.memoryUsage();
+    _.merge(metrics.mem, memoryUsage);
+    metrics.heap = getHeapSpaces(memoryUsage);
+
+    var customData = custom.getMetrics();
+    if (!_.isEmpty(customData)) {
+      metrics.custom = customData;
+    }
 
     pusage.stat(process.pid, function (err, stat) {
 
@@ -56,6 +156,12 @@ var dashboardAgent = function () {
 
   var resetEventMetrics = function () {
     metrics.eventLoop.delay = 0;
+
+    _.each(metrics.gc, function (value, key) {
+      metrics.gc[key] = 0;
+    });
+
+    custom.reset();
   };
 
   var _emitStats = function () {
@@ -77,8 +183,9 @@ var dashboardAgent = function () {
 
   var startPump = function () {
     if (enabled) {
-      socket = new SocketIO("http://localhost:" + options.port);
+      socket = new SocketIO("http://" + options.host + ":" + options.port);
       blocked(_delayed, { threshold: options.blockedThreshold });
+      gcObserver = observeGc(_gcObserved);
       options.intervalId = setInterval(_emitStats, options.refreshInterval);
     }
   };
@@ -92,12 +199,21 @@ var dashboardAgent = function () {
       clearInterval(options.intervalId);
       options.intervalId = null;
     }
+    if (gcObserver) {
+      gcObserver.disconnect();
+      gcObserver = null;
+    }
   };
 
   startPump();
 
   return {
+    increment: custom.increment,
+    gauge: custom.gauge,
+    timing: custom.timing,
+    startTimer: custom.startTimer,
     _delayed: _delayed,
+    _gcObserved: _gcObserved,
     _getStats: _getStats,
     _emitStats: _emitStats,
     destroy: destroy
@@ -7,6 +7,8 @@ var generateLayouts = require("./generate-layouts");
 var LogProvider = require("./providers/log-provider");
 var MetricsProvider = require("./providers/metrics-provider");
 var GotoTimeView = require("./views/goto-time-view");
+var InputView = require("./views/input-view");
+var StatusView = require("./views/status-view");
 var views = require("./views");
 
 var THROTTLE_TIMEOUT = 150;
@@ -14,14 +16,26 @@ var THROTTLE_TIMEOUT = 150;
 var Dashboard = function Dashboard(options) {
   this.options = options || {};
   this.settings = this.options.settings;
+  this.layoutsConfig = this.options.layoutsConfig || generateLayouts.loadConfig();
 
   this.screen = blessed.screen({
     smartCSR: true,
-    title: options.appName
+    title: options.appName,
+    // keys are read from the terminal when stdin is piped to the app
+    input: this.options.input
   });
 
-  this.logProvider = new LogProvider(this.screen);
-  this.metricsProvider = new MetricsProvider(this.screen);
+  // recordings and log files both get every event
+  this.recorders = _.compact([this.options.recorder, this.options.logWriter]);
+
+  this.logProvider = new LogProvider(this.screen, { matches: this.options.logMatches });
+  this.metricsProvider = new MetricsProvider(this.screen, {
+    logProvider: this.logProvider,
+    startTime: this.options.startTime,
+    retention: this.options.retention,
+    timeAxis: this.options.timeAxis,
+    alerts: (this.options.alerts || []).concat(this.layoutsConfig.alerts)
+  });
 
   this._createViews();
   this._configureKeys();
@@ -29,10 +43,11 @@ var Dashboard = function Dashboard(options) {
 };
 
 Dashboard.prototype._createViews = function () {
-  this.layouts = generateLayouts(this.options.layoutsFile);
+  this.layouts = generateLayouts(this.layoutsConfig);
 
   // container prevents stream view scrolling from interfering with side views
-  this.container = blessed.box();
+  // the last line of the screen is left for the status of the app
+  this.container = blessed.box({ height: "100%-1" });
   this.screen.append(this.container);
   this.viewOptions = {
     screen: this.screen,
@@ -43,6 +58,13 @@ Dashboard.prototype._createViews = function () {
 
   this.helpView = new HelpView(this.viewOptions);
   this.gotoTimeView = new GotoTimeView(this.viewOptions);
+  this.statusView = new StatusView(this.viewOptions);
+  this.inputView = new InputView(
+    _.defaults({
+      sendInput: this.options.sendInput,
+      getInputError: this.options.getInputError
+    }, this.viewOptions)
+  );
 
   this._showLayout(0);
 };
@@ -51,14 +73,20 @@ Dashboard.prototype._configureKeys = function () {
   // ignore locked works like a global key handler regardless of input
   // this key will be watched on the global screen
   this.screen.ignoreLocked = ["C-c"];
-  this.screen.key("C-c", function () {
-    process.exit(0); // eslint-disable-line no-process-exit
-  });
+  this.screen.key("C-c", this.quit.bind(this));
 
   // watch for key events on the main container; not the screen
   // this allows for more granular key bindings in other views
   this.container.key(["left", "right"], _.throttle(function (ch, key) {
     var delta = key.name === "left" ? -1 : 1;
+
+    // arrows move the cursor of the graphs while it is shown
+    if (this.metricsProvider.cursor !== undefined) {
+      this.screen.emit("moveCursor", delta);
+      this.screen.render();
+      return;
+    }
+
     var target = (this.currentLayout + delta + this.layouts.length) % this.layouts.length;
     this._showLayout(target);
   }.bind(this), THROTTLE_TIMEOUT));
@@ -75,20 +103,28 @@ Dashboard.prototype._configureKeys = function () {
     this.screen.render();
   }.bind(this));
 
+  this.container.key(["i", "S-i"], function () {
+    this.helpView.hide();
+    this.gotoTimeView.hide();
+    this.inputView.open();
+    this.screen.render();
+  }.bind(this));
+
   this.container.key("escape", function () {
     if (this.helpView.isVisible() || this.gotoTimeView.isVisible()) {
       this.helpView.hide();
       this.gotoTimeView.hide();
       this.screen.render();
+    } else if (this.metricsProvider.cursor !== undefined) {
+      this.screen.emit("toggleCursor");
+      this.screen.render();
     } else {
       this.screen.emit("resetGraphs");
       this._showLayout(0);
     }
   }.bind(this));
 
-  this.container.key(["q", "S-q"], function () {
-    process.exit(0); // eslint-disable-line no-process-exit
-  });
+  this.container.key(["q", "S-q"], this.quit.bind(this));
 
   this.container.key(["w", "S-w", "s", "S-s"], function (ch, key) {
     var zoom = key.name === "s" ? -1 : 1;
@@ -107,17 +143,78 @@ Dashboard.prototype._configureKeys = function () {
     this.screen.emit("startGraphs", goto);
     this.screen.render();
   }.bind(this));
+
+  this.container.key(["t", "S-t"], function () {
+    this.screen.emit("cycleStatistic");
+    this.screen.render();
+  }.bind(this));
+
+  this.container.key(["c", "S-c"], function () {
+    this.screen.emit("toggleCursor");
+    this.screen.render();
+  }.bind(this));
+
+  // log views take the keys once focused, and give them back with esc
+  this.container.key("tab", function () {
+    this.screen.focusNext();
+    this.screen.render();
+  }.bind(this));
+
+  this.container.key(["e", "S-e"], function () {
+    this.screen.emit("expandLogs");
+    this.screen.render();
+  }.bind(this));
 };
 
-Dashboard.prototype.onEvent = function (event) {
-  this.screen.emit(event.type, event.data);
+/**
+ * Process an event received from the app (or a recording of it).
+ *
+ * @param {Object} event
+ * The event, with its type, data and the time it was received.  The time
+ * defaults to now.
+ *
+ * @param {Boolean} deferRender
+ * When truthy, the screen is not rendered; used to replay many events at once.
+ *
+ * @returns {void}
+ */
+Dashboard.prototype.onEvent = function (event, deferRender) {
+  var time = event.time || Date.now();
+
+  _.invokeMap(this.recorders, "record", event.type, event.data, time);
+
+  this.screen.emit(event.type, event.data, time);
   // avoid double screen render for stream events (Element calls screen.render on scroll)
   // TODO dashboard shouldn't know which events are used by which widgets
-  if (event.type === "metrics") {
+  if (event.type === "metrics" && !deferRender) {
     this.screen.render();
   }
 };
 
+/**
+ * Quit, as the one who launched the dashboard sees fit (ex: to report
+ * budgets), or by exiting.
+ *
+ * @returns {void}
+ */
+Dashboard.prototype.quit = function () {
+  if (this.options.onQuit) {
+    this.options.onQuit();
+    return;
+  }
+
+  process.exit(0); // eslint-disable-line no-process-exit
+};
+
+/**
+ * Stop showing the dashboard and give the terminal back.
+ *
+ * @returns {void}
+ */
+Dashboard.prototype.close = function () {
+  this.screen.destroy();
+};
+
 Dashboard.prototype._showLayout = function (id) {
   if (this.currentLayout === id) {
     return;
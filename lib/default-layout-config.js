@@ -87,6 +87,13 @@ module.exports = [
         },
         {
           type: "memoryGraph"
+        },
+        {
+          type: "gc"
+        },
+        {
+          type: "logRate",
+          limit: 30
         }
       ]
     }
@@ -0,0 +1,242 @@
+"use strict";
+
+var _ = require("lodash");
+
+// the pieces an expression is made of: numbers, metric paths, operators and parentheses
+var TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|([A-Za-z_$][\w$]*(?:\.[\w$]+)*)|([-+*/%()]))/g;
+
+// the capturing group of TOKEN_PATTERN for each type of token
+var TOKEN_GROUPS = {
+  number: 1,
+  path: 2,
+  operator: 3
+};
+
+/**
+ * Create a reducer that converts a match of TOKEN_PATTERN into a token.
+ *
+ * @param {String[]} match
+ * The match of TOKEN_PATTERN.
+ *
+ * @returns {Function}
+ * The reducer is returned.
+ */
+var getToken = function getToken(match) {
+  return function (token, group, type) {
+    if (token || match[group] === undefined) {
+      return token;
+    }
+
+    return {
+      type: type,
+      value: type === "number" ? +match[group] : match[group]
+    };
+  };
+};
+
+/**
+ * Break an expression into tokens.
+ *
+ * @param {String} source
+ * The expression to tokenize.
+ *
+ * @throws {Error}
+ * An error is thrown if the expression contains something unexpected.
+ *
+ * @returns {Object[]}
+ * The array of tokens is returned.
+ */
+var tokenize = function tokenize(source) {
+  var tokens = [];
+  var lastIndex = 0;
+  var match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while (lastIndex < source.length && (match = TOKEN_PATTERN.exec(source))) {
+    if (match.index !== lastIndex) {
+      break;
+    }
+
+    lastIndex = TOKEN_PATTERN.lastIndex;
+
+    tokens.push(_.reduce(TOKEN_GROUPS, getToken(match), null));
+  }
+
+  if (_.trim(source.slice(lastIndex))) {
+    throw new Error("Unexpected input in expression \"" + source + "\" at " + lastIndex);
+  }
+
+  return tokens;
+};
+
+/**
+ * Apply an arithmetic operator.  Division by zero yields zero, so that a
+ * missing metric does not break a graph.
+ *
+ * @param {String} operator
+ * The operator to apply.
+ *
+ * @param {Number} left
+ * The left operand.
+ *
+ * @param {Number} right
+ * The right operand.
+ *
+ * @returns {Number}
+ * The result is returned.
+ */
+var applyOperator = function applyOperator(operator, left, right) {
+  switch (operator) {
+  case "+":
+    return left + right;
+  case "-":
+    return left - right;
+  case "*":
+    return left * right;
+  default:
+    if (right === 0) {
+      return 0;
+    }
+    return operator === "/" ? left / right : left % right;
+  }
+};
+
+/**
+ * Create a function reading a metric from metric data.
+ *
+ * @param {String} path
+ * The path of the metric (ex: mem.heapUsed).
+ *
+ * @returns {Function}
+ * A function that reads the metric is returned.  Metrics that are not present,
+ * or that are not numbers (ex: the aggregates of a custom timer), read as zero.
+ */
+var getMetric = function getMetric(path) {
+  return function (data) {
+    var value = _.get(data, path);
+    return _.isNumber(value) ? value : 0;
+  };
+};
+
+var negate = function negate(evaluate) {
+  return function (data) {
+    return -evaluate(data);
+  };
+};
+
+/**
+ * A recursive descent parser for arithmetic expressions of metric paths.  Each
+ * parse method returns a function that evaluates its part of the expression.
+ *
+ * @param {String} source
+ * The expression to parse.
+ *
+ * @returns {void}
+ */
+var Parser = function Parser(source) {
+  this.source = source;
+  this.tokens = tokenize(source);
+  this.position = 0;
+};
+
+Parser.prototype.fail = function (message) {
+  throw new Error(message + " in expression \"" + this.source + "\"");
+};
+
+Parser.prototype.peek = function (operators) {
+  var token = this.tokens[this.position];
+  return !!token && token.type === "operator" && operators.indexOf(token.value) !== -1;
+};
+
+Parser.prototype.parse = function () {
+  var expression = this.parseAdditive();
+
+  if (this.position < this.tokens.length) {
+    this.fail("Unexpected " + this.tokens[this.position].value);
+  }
+
+  return expression;
+};
+
+Parser.prototype.parseBinary = function (parseOperand, operators) {
+  var evaluate = parseOperand.call(this);
+
+  var combine = function (left, operator, right) {
+    return function (data) {
+      return applyOperator(operator, left(data), right(data));
+    };
+  };
+
+  while (this.peek(operators)) {
+    var operator = this.tokens[this.position++].value;
+    evaluate = combine(evaluate, operator, parseOperand.call(this));
+  }
+
+  return evaluate;
+};
+
+Parser.prototype.parseAdditive = function () {
+  return this.parseBinary(this.parseMultiplicative, ["+", "-"]);
+};
+
+Parser.prototype.parseMultiplicative = function () {
+  return this.parseBinary(this.parsePrimary, ["*", "/", "%"]);
+};
+
+Parser.prototype.parseGroup = function () {
+  var inner = this.parseAdditive();
+
+  if (!this.peek([")"])) {
+    return this.fail("Missing )");
+  }
+  this.position++;
+
+  return inner;
+};
+
+Parser.prototype.parsePrimary = function () {
+  var token = this.tokens[this.position++];
+
+  if (!token) {
+    return this.fail("Unexpected end");
+  }
+
+  if (token.type === "number") {
+    return _.constant(token.value);
+  }
+
+  if (token.type === "path") {
+    return getMetric(token.value);
+  }
+
+  if (token.value === "-") {
+    return negate(this.parsePrimary());
+  }
+
+  if (token.value === "(") {
+    return this.parseGroup();
+  }
+
+  return this.fail("Unexpected " + token.value);
+};
+
+/**
+ * Compile an arithmetic expression of metric paths into a function.  For
+ * example, "mem.heapUsed / mem.heapTotal * 100".  Supported are numbers,
+ * metric paths, + - * / %, unary minus and parentheses.
+ *
+ * @param {String} source
+ * The expression to compile.
+ *
+ * @throws {Error}
+ * An error is thrown if the expression is invalid.
+ *
+ * @returns {Function}
+ * A function that evaluates the expression against metric data is returned.
+ * Metric paths that are not present in the data evaluate to zero.
+ */
+exports.compile = function compile(source) {
+  return new Parser(source).parse();
+};
+
+exports.getMetric = getMetric;
@@ -0,0 +1,269 @@
+"use strict";
+
+var EventEmitter = require("events").EventEmitter;
+var fs = require("fs");
+var path = require("path");
+var _ = require("lodash");
+
+// editors and builds often write several files at once, so changes are
+// reported together once they settle
+var DEBOUNCE_DELAY = 200;
+
+var DEFAULT_IGNORE = ["**/node_modules/**", "**/.git/**"];
+
+var GLOB_PATTERN = /[*?{]/;
+
+// fs.watch only watches directories recursively on macOS and Windows (Linux
+// has it since node 20, but it then watches ignored directories as well)
+var RECURSIVE_PLATFORMS = ["darwin", "win32"];
+
+// paths and globs are compared relative to the working directory, with forward slashes
+var normalizePath = function (file) {
+  return path.relative(process.cwd(), path.resolve(file)).split(path.sep).join("/");
+};
+
+/**
+ * Convert a glob to a regular expression.  Globs support * (any characters
+ * but /), ** (any number of directories), ? (one character but /) and
+ * {a,b} (alternatives).
+ *
+ * @param {String} glob
+ * The glob to convert.
+ *
+ * @returns {RegExp}
+ * The regular expression matching the paths of the glob is returned.
+ */
+var globToRegExp = function (glob) {
+  var source = _.escapeRegExp(normalizePath(glob))
+    .replace(/\\\{([^}]*)\\\}/g, function (match, alternatives) {
+      return "(?:" + alternatives.split(",").join("|") + ")";
+    })
+    .replace(/\\\*\\\*\//g, "(?:.*/)?")
+    .replace(/\\\*\\\*/g, ".*")
+    .replace(/\\\*/g, "[^/]*")
+    .replace(/\\\?/g, "[^/]");
+
+  return new RegExp("^" + source + "$");
+};
+
+// symbolic links are not followed, so that they can't lead to a loop
+var isDirectory = function (file) {
+  try {
+    return fs.lstatSync(file).isDirectory();
+  } catch (err) {
+    return false;
+  }
+};
+
+// files may be removed while they are being watched
+var ignoreMissing = function (operation) {
+  try {
+    operation();
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+  }
+};
+
+// the directory to watch for a glob is the part before any wildcard
+var getBaseDirectory = function (glob) {
+  var parts = normalizePath(glob).split("/");
+  var wildcard = _.findIndex(parts, function (part) { return GLOB_PATTERN.test(part); });
+
+  return wildcard === -1
+    ? path.dirname(parts.join("/"))
+    : parts.slice(0, wildcard).join("/") || ".";
+};
+
+/**
+ * This is the constructor for the FileWatcher, which emits "change" with the
+ * files changed when files matching globs change.
+ *
+ * @param {String[]} globs
+ * The globs of the files to watch.
+ *
+ * @param {Object} [options]
+ * Options that may be specified, ignore are the globs of the files not to
+ * watch besides node_modules and .git, delay is how long in ms to wait
+ * for changes to settle, and recursive whether to watch each directory along
+ * with its subdirectories, rather than every directory that isn't ignored on
+ * its own (by default, where the platform supports it).
+ *
+ * @returns {void}
+ */
+var FileWatcher = function FileWatcher(globs, options) {
+  EventEmitter.call(this);
+
+  this.options = options || {};
+  this.delay = this.options.delay === undefined ? DEBOUNCE_DELAY : this.options.delay;
+
+  this.patterns = _.map(globs, globToRegExp);
+  this.ignorePatterns = _.map(DEFAULT_IGNORE.concat(this.options.ignore || []), globToRegExp);
+  this.directories = _.uniq(_.map(globs, getBaseDirectory));
+  this.recursive = this.options.recursive === undefined
+    ? _.includes(RECURSIVE_PLATFORMS, process.platform)
+    : this.options.recursive;
+
+  // the watchers, keyed by the directory they watch
+  this._watchers = {};
+  this._changes = [];
+};
+
+FileWatcher.prototype = Object.create(EventEmitter.prototype);
+
+/**
+ * Split a comma separated list of globs, leaving the commas of {a,b} alone.
+ *
+ * @param {String} list
+ * The list of globs.
+ *
+ * @returns {String[]}
+ * The globs are returned.
+ */
+FileWatcher.parseGlobs = function (list) {
+  return _.compact(list.split(/,(?![^{]*\})/));
+};
+
+/**
+ * Describe changed files for display.
+ *
+ * @param {String[]} files
+ * The files changed.
+ *
+ * @returns {String}
+ * The description is returned (ex: lib/index.js changed).
+ */
+FileWatcher.describe = function (files) {
+  return (files.length === 1 ? files[0] : files.length + " files") + " changed";
+};
+
+/**
+ * Start watching the files.
+ *
+ * @throws {Error}
+ * An error is thrown if a directory can't be watched (ex: it doesn't exist).
+ *
+ * @returns {void}
+ */
+FileWatcher.prototype.start = function () {
+  _.each(this.directories, function (directory) {
+    if (this.recursive) {
+      this._watch(directory);
+    } else {
+      this._watchTree(directory);
+    }
+  }.bind(this));
+};
+
+/**
+ * Stop watching the files.
+ *
+ * @returns {void}
+ */
+FileWatcher.prototype.close = function () {
+  clearTimeout(this._timeout);
+
+  _.invokeMap(this._watchers, "close");
+  this._watchers = {};
+};
+
+/**
+ * Check whether a directory is ignored, along with everything in it.
+ *
+ * @param {String} directory
+ * The path of the directory.
+ *
+ * @returns {Boolean}
+ * Whether the directory matches a glob ignored is returned.
+ */
+FileWatcher.prototype.isIgnoredDirectory = function (directory) {
+  var relativePath = normalizePath(directory) + "/";
+
+  return _.some(this.ignorePatterns, function (pattern) { return pattern.test(relativePath); });
+};
+
+FileWatcher.prototype._watch = function (directory) {
+  var watcher = fs.watch(directory, { recursive: this.recursive }, function (event, filename) {
+    if (filename) {
+      this._onEvent(path.join(directory, filename.toString()));
+    }
+  }.bind(this));
+
+  watcher.on("error", this.emit.bind(this, "error"));
+
+  this._watchers[directory] = watcher;
+};
+
+// watch a directory and its subdirectories, other than those ignored, one by one
+FileWatcher.prototype._watchTree = function (directory) {
+  if (this._watchers[directory] || this.isIgnoredDirectory(directory)) {
+    return;
+  }
+
+  this._watch(directory);
+
+  _.each(fs.readdirSync(directory), function (name) {
+    var file = path.join(directory, name);
+
+    if (isDirectory(file)) {
+      this._watchTree(file);
+    }
+  }.bind(this));
+};
+
+// directories created while watching are watched as well, and those removed are not anymore
+FileWatcher.prototype._updateTree = function (file) {
+  if (isDirectory(file)) {
+    ignoreMissing(this._watchTree.bind(this, file));
+    return;
+  }
+
+  _.each(_.keys(this._watchers), function (directory) {
+    if (directory === file || _.startsWith(directory, file + path.sep)) {
+      this._watchers[directory].close();
+      delete this._watchers[directory];
+    }
+  }.bind(this));
+};
+
+FileWatcher.prototype._onEvent = function (file) {
+  if (!this.recursive) {
+    this._updateTree(file);
+  }
+
+  this._onChange(file);
+};
+
+/**
+ * Check whether a file is watched.
+ *
+ * @param {String} file
+ * The path of the file.
+ *
+ * @returns {Boolean}
+ * Whether the file matches a glob watched and no glob ignored is returned.
+ */
+FileWatcher.prototype.isWatched = function (file) {
+  var relativePath = normalizePath(file);
+  var matches = function (pattern) { return pattern.test(relativePath); };
+
+  return _.some(this.patterns, matches) && !_.some(this.ignorePatterns, matches);
+};
+
+FileWatcher.prototype._onChange = function (file) {
+  if (!this.isWatched(file)) {
+    return;
+  }
+
+  this._changes = _.union(this._changes, [normalizePath(file)]);
+
+  clearTimeout(this._timeout);
+  this._timeout = setTimeout(function () {
+    var changes = this._changes;
+    this._changes = [];
+    this.emit("change", changes);
+  }.bind(this), this.delay);
+};
+
+module.exports = FileWatcher;
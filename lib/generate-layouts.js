@@ -7,30 +7,77 @@ var defaultLayoutConfig = require("./default-layout-config");
 var validate = require("jsonschema").validate;
 var layoutConfigSchema = require("./layout-config-schema.json");
 
-module.exports = function generateLayouts(layoutsFile) {
-  var layoutConfig = defaultLayoutConfig;
+var alertsSchema = {
+  type: "array",
+  items: layoutConfigSchema.definitions.alertRule
+};
+
+var assertValid = function (name, config, schema) {
+  var validationResult = validate(config, schema);
+  assert(
+    validationResult.valid,
+    name + " is invalid:\n\n  * " + validationResult.errors.join("\n  * ") + "\n"
+  );
+};
+
+/**
+ * Read the layouts file, which either exports the layouts, or an object with
+ * the layouts and alert rules.
+ *
+ * @param {String} [layoutsFile]
+ * The layouts file, the default layouts (without alert rules) are used
+ * without one.
+ *
+ * @throws {Error}
+ * An error is thrown if the layouts or alert rules are invalid.
+ *
+ * @returns {Object}
+ * The layouts and alerts are returned.
+ */
+var loadConfig = function (layoutsFile) {
+  var config = { layouts: defaultLayoutConfig, alerts: [] };
   if (layoutsFile) {
+    var fileConfig;
     /* eslint-disable global-require */
     try {
-      layoutConfig = require(layoutsFile);
+      fileConfig = require(layoutsFile);
     } catch (err1) {
-      layoutConfig = require(path.resolve(process.cwd(), layoutsFile));
+      fileConfig = require(path.resolve(process.cwd(), layoutsFile));
     }
     /* eslint-enable global-require */
-    var validationResult = validate(layoutConfig, layoutConfigSchema);
-    assert(
-      validationResult.valid,
-      "Layout config is invalid:\n\n  * " + validationResult.errors.join("\n  * ") + "\n"
-    );
+    if (_.isPlainObject(fileConfig) && fileConfig.layouts) {
+      config = { layouts: fileConfig.layouts, alerts: fileConfig.alerts || [] };
+      assertValid("Alert config", config.alerts, alertsSchema);
+    } else {
+      config.layouts = fileConfig;
+    }
+    assertValid("Layout config", config.layouts, layoutConfigSchema);
   }
 
+  return config;
+};
+
+/**
+ * Generate the layouts shown by the dashboard.
+ *
+ * @param {Object} [config]
+ * The layouts file read by loadConfig, the default layouts without one.
+ *
+ * @returns {Object[]}
+ * The layouts are returned.
+ */
+module.exports = function generateLayouts(config) {
+  var layoutConfig = (config || loadConfig()).layouts;
+
   return layoutConfig.map(function (layouts) {
     return {
       view: {
         type: "panel",
-        views: layouts.map(function (config) { return _.merge(config, { type: "panel" }); })
+        views: layouts.map(function (view) { return _.merge(view, { type: "panel" }); })
       },
       getPosition: _.identity
     };
   });
 };
+
+module.exports.loadConfig = loadConfig;
@@ -0,0 +1,198 @@
+"use strict";
+
+var EventEmitter = require("events").EventEmitter;
+var fs = require("fs");
+var _ = require("lodash");
+var AppProcess = require("./app-process");
+var MetricsProvider = require("./providers/metrics-provider");
+var utils = require("./utils");
+
+var FORMATS = ["json", "csv"];
+
+/**
+ * This is the constructor for the HeadlessReporter, which takes the place of
+ * the Dashboard when there is no terminal (ex: CI load tests).  It writes each
+ * sample received, and optionally each aggregate, as JSON lines or CSV.
+ *
+ * @param {Object} [options]
+ * Options that may be specified:
+ * format is "json" (default) or "csv",
+ * columns are the metric paths written as CSV columns, those of the first
+ * sample by default,
+ * output is a file to write to instead of stdout,
+ * aggregates also writes the average of every aggregation level,
+ * prefixOutput prefixes each line of the app's stdout and stderr,
+ * recorder, logWriter, retention and startTime are used as by the Dashboard.
+ *
+ * @returns {void}
+ */
+var HeadlessReporter = function HeadlessReporter(options) {
+  this.options = options || {};
+  this.format = this.options.format || "json";
+
+  if (FORMATS.indexOf(this.format) === -1) {
+    throw new Error("Unknown format '" + this.format + "', expected one of " + FORMATS.join(", "));
+  }
+
+  this.recorders = _.compact([this.options.recorder, this.options.logWriter]);
+  this.stdout = this.options.stdout || process.stdout;
+  this.stderr = this.options.stderr || process.stderr;
+
+  // writes are synchronous so that nothing is lost when the app exits
+  this.fd = this.options.output ? fs.openSync(this.options.output, "w") : null;
+
+  // CSV columns are fixed once the header is written
+  this.csv = { columns: this.options.columns, headerWritten: false, leftOut: [] };
+  this.partialLines = { stdout: "", stderr: "" };
+
+  // providers only need the events of the screen
+  this.screen = new EventEmitter();
+
+  if (this.options.aggregates) {
+    this.startTime = this.options.startTime || Date.now();
+    this.metricsProvider = new MetricsProvider(this.screen, {
+      startTime: this.startTime,
+      retention: this.options.retention
+    });
+    this.metricsProvider.on("aggregate", function (data, aggregateKey, index) {
+      this._writeMetrics(this.startTime + index * aggregateKey, data, +aggregateKey);
+    }.bind(this));
+  }
+};
+
+/**
+ * Process an event received from the app.
+ *
+ * @param {Object} event
+ * The event, with its type, data and the time it was received.  The time
+ * defaults to now.
+ *
+ * @returns {void}
+ */
+HeadlessReporter.prototype.onEvent = function (event) {
+  var time = event.time || Date.now();
+
+  _.invokeMap(this.recorders, "record", event.type, event.data, time);
+
+  if (event.type === "metrics") {
+    this._writeMetrics(time, event.data);
+  } else if (event.type === "app") {
+    this.stderr.write("[app] " + AppProcess.describe(event.data, time) + "\n");
+  } else {
+    this._writeOutput(event.type, event.data);
+  }
+
+  this.screen.emit(event.type, event.data, time);
+};
+
+/**
+ * Stop writing metrics.
+ *
+ * @returns {void}
+ */
+HeadlessReporter.prototype.close = function () {
+  if (this.fd !== null) {
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+};
+
+/**
+ * Write metrics in the configured format.
+ *
+ * @param {Number} time
+ * The time of the metrics, or the beginning of the time band of an aggregate.
+ *
+ * @param {Object} data
+ * The metrics.
+ *
+ * @param {Number} [aggregate]
+ * The aggregation level in ms, when the metrics are an aggregate.
+ *
+ * @returns {void}
+ */
+HeadlessReporter.prototype._writeMetrics = function (time, data, aggregate) {
+  if (this.format === "json") {
+    this._write(JSON.stringify(_.omitBy({
+      time: time,
+      aggregate: aggregate,
+      metrics: data
+    }, _.isUndefined)) + "\n");
+    return;
+  }
+
+  var values = _.reduce(utils.flattenMetrics(data), function (prev, metric) {
+    prev[metric.path.join(".")] = metric.value;
+
+    return prev;
+  }, {});
+  var csv = this.csv;
+  var leftOut;
+
+  if (!csv.headerWritten) {
+    csv.columns = csv.columns || _.keys(values);
+    csv.headerWritten = true;
+    this._write(["time", "aggregate"].concat(csv.columns).join(",") + "\n");
+  }
+
+  // metrics added over time (ex: custom metrics) can't be added to the file,
+  // unless they were listed as columns
+  leftOut = _.difference(_.keys(values), csv.columns, csv.leftOut);
+  if (leftOut.length && !this.options.columns) {
+    csv.leftOut = csv.leftOut.concat(leftOut);
+    this.stderr.write("[csv] metrics left out of the columns, list them with --columns: "
+      + leftOut.join(", ") + "\n");
+  }
+
+  this._write([time, aggregate].concat(_.map(csv.columns, function (column) {
+    return values[column];
+  })).join(",") + "\n");
+};
+
+/**
+ * Pass the output of the app through, prefixing each line when configured.
+ * Its stdout goes to stderr when the metrics are written to stdout, so that
+ * they can still be parsed.
+ *
+ * @param {String} type
+ * The stream the output came from, stdout or stderr.
+ *
+ * @param {String} data
+ * The output.
+ *
+ * @returns {void}
+ */
+HeadlessReporter.prototype._writeOutput = function (type, data) {
+  var stream = type === "stderr" || this.fd === null ? this.stderr : this.stdout;
+
+  if (!this.options.prefixOutput) {
+    stream.write(data);
+    return;
+  }
+
+  // only complete lines are prefixed, the rest waits for the next output
+  var lines = (this.partialLines[type] + data).split("\n");
+  this.partialLines[type] = lines.pop();
+
+  lines.forEach(function (line) {
+    stream.write("[" + type + "] " + line + "\n");
+  });
+};
+
+/**
+ * Write to the output file, or stdout.
+ *
+ * @param {String} text
+ * The text to write.
+ *
+ * @returns {void}
+ */
+HeadlessReporter.prototype._write = function (text) {
+  if (this.fd !== null) {
+    fs.writeSync(this.fd, text);
+  } else {
+    this.stdout.write(text);
+  }
+};
+
+module.exports = HeadlessReporter;
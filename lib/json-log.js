@@ -0,0 +1,127 @@
+"use strict";
+
+var blessed = require("blessed");
+var _ = require("lodash");
+var time = require("./time");
+
+// the levels of pino and bunyan, by name and number
+var LEVELS = [
+  { name: "trace", value: 10, color: "white" },
+  { name: "debug", value: 20, color: "blue" },
+  { name: "info", value: 30, color: "green" },
+  { name: "warn", value: 40, color: "yellow" },
+  { name: "error", value: 50, color: "red" },
+  { name: "fatal", value: 60, color: "magenta" }
+];
+
+var LEVEL_WIDTH = _.max(_.map(LEVELS, "name.length"));
+var TIME_WIDTH = "00:00:00".length;
+var INDENT = 2;
+
+/**
+ * Parse a line of JSON log (ex: written by pino or bunyan).
+ *
+ * @param {String} line
+ * The line to parse.
+ *
+ * @returns {Object}
+ * The log record is returned, null when the line is not a JSON object.
+ */
+exports.parse = function (line) {
+  if (!/^\s*\{/.test(line)) {
+    return null;
+  }
+
+  try {
+    var record = JSON.parse(line);
+
+    return _.isPlainObject(record) ? record : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Get the level of a log record, given by number or by name.
+ *
+ * @param {Object|String|Number} record
+ * The log record, or a level.
+ *
+ * @returns {Object}
+ * The level, with its name, value and color, is returned.  Unknown levels are
+ * undefined.
+ */
+exports.getLevel = function (record) {
+  var level = _.isPlainObject(record) ? record.level : record;
+
+  return _.isNumber(level)
+    ? _.findLast(LEVELS, function (known) { return known.value <= level; })
+    : _.find(LEVELS, { name: _.toLower(level) });
+};
+
+/**
+ * Check whether a log record is at or above a level.  Records without a known
+ * level always are.
+ *
+ * @param {Object} record
+ * The log record.
+ *
+ * @param {String|Number} [minLevel]
+ * The level, by name or number.
+ *
+ * @returns {Boolean}
+ * Whether the record should be shown is returned.
+ */
+exports.isAtLevel = function (record, minLevel) {
+  var level = exports.getLevel(record);
+  var min = exports.getLevel(minLevel);
+
+  return !level || !min || level.value >= min.value;
+};
+
+var formatValue = function (value) {
+  return _.isString(value) ? value : JSON.stringify(value);
+};
+
+var formatTime = function (value) {
+  var timestamp = _.isNumber(value) ? value : Date.parse(value);
+
+  return _.isFinite(timestamp) ? time.getClockTime(timestamp) : _.repeat(" ", TIME_WIDTH);
+};
+
+/**
+ * Format a log record in columns of time, level and message, followed by
+ * the fields selected, as blessed tagged text.
+ *
+ * @param {Object} record
+ * The log record.
+ *
+ * @param {Object} [options]
+ * Options that may be specified, fields are the names of the fields to show
+ * after the message, and expanded also shows the whole record.
+ *
+ * @returns {String}
+ * The formatted record is returned.
+ */
+exports.format = function (record, options) {
+  var level = exports.getLevel(record);
+  var fields = _.filter(options && options.fields, _.partial(_.has, record));
+  var line = [
+    formatTime(record.time),
+    level
+      ? "{" + level.color + "-fg}" + _.padEnd(level.name.toUpperCase(), LEVEL_WIDTH) + "{/}"
+      : _.repeat(" ", LEVEL_WIDTH),
+    blessed.escape(formatValue(_.has(record, "msg") ? record.msg : record.message || ""))
+  ].concat(_.map(fields, function (field) {
+    return "{cyan-fg}" + blessed.escape(field) + "={/}"
+      + blessed.escape(formatValue(_.get(record, field)));
+  })).join(" ");
+
+  if (!options || !options.expanded) {
+    return line;
+  }
+
+  return line + "\n" + blessed.escape(JSON.stringify(record, null, INDENT));
+};
+
+exports.LEVELS = _.map(LEVELS, "name");
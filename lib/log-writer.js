@@ -0,0 +1,245 @@
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var _ = require("lodash");
+var AppProcess = require("./app-process");
+var time = require("./time");
+
+var STREAMS = ["stdout", "stderr"];
+var SIZE_UNITS = { b: 1, kb: 1024, mb: 1048576, gb: 1073741824 };
+
+var DEFAULT_ROTATION = "10mb";
+var DEFAULT_KEEP = 5;
+
+// rotated files may not exist yet
+var ignoreMissing = function (operation) {
+  try {
+    operation();
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+  }
+};
+
+// mkdirSync only creates parent directories with recursive from node 10.12
+var makeDirectory = function (dir) {
+  try {
+    fs.mkdirSync(dir);
+  } catch (err) {
+    if (err.code === "ENOENT" && path.dirname(dir) !== dir) {
+      makeDirectory(path.dirname(dir));
+      makeDirectory(dir);
+    } else if (err.code !== "EEXIST") {
+      throw err;
+    }
+  }
+};
+
+/**
+ * This is the constructor for a RotatingFile, which appends to a file until
+ * it reaches the size or age to rotate at.  It is then renamed to <file>.1,
+ * older files being renamed to <file>.2 and so on.
+ *
+ * @param {String} file
+ * The file to append to.
+ *
+ * @param {Object} options
+ * rotation is the size and/or interval to rotate at, keep is the number of
+ * rotated files to keep.
+ *
+ * @returns {void}
+ */
+var RotatingFile = function RotatingFile(file, options) {
+  this.file = file;
+  this.options = options;
+
+  this._open();
+};
+
+RotatingFile.prototype._open = function () {
+  this.fd = fs.openSync(this.file, "a");
+  this.size = fs.fstatSync(this.fd).size;
+
+  // the age of a file is counted from its first write
+  this.startTime = undefined;
+};
+
+RotatingFile.prototype.write = function (text, writeTime) {
+  var length = Buffer.byteLength(text);
+  var rotation = this.options.rotation;
+
+  if (this.startTime === undefined) {
+    this.startTime = writeTime;
+  }
+
+  if (this.size > 0 && (rotation.size && this.size + length > rotation.size
+    || rotation.interval && writeTime - this.startTime >= rotation.interval)) {
+    this.rotate();
+    this.startTime = writeTime;
+  }
+
+  fs.writeSync(this.fd, text);
+  this.size += length;
+};
+
+RotatingFile.prototype.rotate = function () {
+  var getFile = function (index) {
+    return index ? this.file + "." + index : this.file;
+  }.bind(this);
+
+  fs.closeSync(this.fd);
+
+  // the oldest file is dropped (the file itself when none are kept)
+  ignoreMissing(fs.unlinkSync.bind(fs, getFile(this.options.keep)));
+
+  for (var index = this.options.keep - 1; index >= 0; index--) {
+    ignoreMissing(fs.renameSync.bind(fs, getFile(index), getFile(index + 1)));
+  }
+
+  this._open();
+};
+
+RotatingFile.prototype.close = function () {
+  fs.closeSync(this.fd);
+};
+
+/**
+ * This is the constructor for the LogWriter, which writes the stdout and
+ * stderr of the app, and optionally its metrics, to rotating files so that
+ * they are kept after the dashboard exits.
+ *
+ * @param {String} dir
+ * The directory to write stdout.log, stderr.log and metrics.log to, created
+ * along with its parents if needed.
+ *
+ * @param {Object} [options]
+ * Options that may be specified:
+ * rotation is the size and/or interval to rotate files at (default 10mb),
+ * keep is the number of rotated files to keep of each log (default 5),
+ * timestamps prefixes each line of output with the time it was received,
+ * metrics also writes the metrics as JSON lines.
+ *
+ * @throws {Error}
+ * An error is thrown if the directory can't be created or written to.
+ *
+ * @returns {void}
+ */
+var LogWriter = function LogWriter(dir, options) {
+  var fileOptions;
+
+  this.options = options || {};
+
+  fileOptions = {
+    rotation: this.options.rotation || LogWriter.parseRotation(DEFAULT_ROTATION),
+    keep: this.options.keep === undefined ? DEFAULT_KEEP : this.options.keep
+  };
+
+  makeDirectory(dir);
+
+  // writes are synchronous so that nothing is lost when the dashboard exits
+  this.files = _.reduce(
+    this.options.metrics ? STREAMS.concat("metrics") : STREAMS,
+    function (files, name) {
+      files[name] = new RotatingFile(path.join(dir, name + ".log"), fileOptions);
+
+      return files;
+    },
+    {}
+  );
+
+  this.lineStarts = { stdout: true, stderr: true };
+};
+
+/**
+ * Parse when to rotate log files (ex: 10mb, 1d or 10mb,1d).
+ *
+ * @param {String} source
+ * A size, a number followed by b, kb, mb or gb, and/or a duration.
+ *
+ * @throws {Error}
+ * An error is thrown if the rotation is invalid.
+ *
+ * @returns {Object}
+ * The size in bytes and interval in ms to rotate at are returned.
+ */
+LogWriter.parseRotation = function (source) {
+  return _.reduce(source.split(","), function (rotation, part) {
+    var size = /^(\d+)(b|kb|mb|gb)$/i.exec(part);
+
+    try {
+      if (size) {
+        rotation.size = +size[1] * SIZE_UNITS[_.toLower(_.last(size))];
+      } else {
+        rotation.interval = time.parseDuration(part);
+      }
+    } catch (err) {
+      throw new Error("log rotation should be a size (ex: 10mb) and/or a duration (ex: 1d): "
+        + source);
+    }
+
+    return rotation;
+  }, {});
+};
+
+/**
+ * Write an event received by the dashboard to the log files.
+ *
+ * @param {String} type
+ * The type of the event.
+ *
+ * @param {Object} data
+ * The event data.
+ *
+ * @param {Number} eventTime
+ * The time the event was received.
+ *
+ * @returns {void}
+ */
+LogWriter.prototype.record = function (type, data, eventTime) {
+  if (!this.files) {
+    return;
+  }
+
+  if (type === "metrics" && this.files.metrics) {
+    this.files.metrics.write(JSON.stringify({ time: eventTime, metrics: data }) + "\n", eventTime);
+  } else if (type === "app") {
+    // app starts and exits are marked in both logs, on a line of their own
+    _.each(STREAMS, function (stream) {
+      this._writeOutput(stream, (this.lineStarts[stream] ? "" : "\n")
+        + "[app] " + AppProcess.describe(data, eventTime) + "\n", eventTime);
+    }.bind(this));
+  } else if (_.includes(STREAMS, type)) {
+    this._writeOutput(type, data, eventTime);
+  }
+};
+
+LogWriter.prototype._writeOutput = function (stream, data, eventTime) {
+  var text = data;
+  var stamp;
+
+  if (this.options.timestamps) {
+    stamp = new Date(eventTime).toISOString() + " ";
+    text = (this.lineStarts[stream] ? stamp : "") + data.replace(/\n(?=[\s\S])/g, "\n" + stamp);
+  }
+
+  // output comes in chunks, a line may be continued by the next one
+  if (data.length) {
+    this.lineStarts[stream] = _.endsWith(data, "\n");
+  }
+
+  this.files[stream].write(text, eventTime);
+};
+
+/**
+ * Stop writing the log files.
+ *
+ * @returns {void}
+ */
+LogWriter.prototype.close = function () {
+  _.invokeMap(this.files, "close");
+  this.files = null;
+};
+
+module.exports = LogWriter;
@@ -0,0 +1,143 @@
+"use strict";
+
+var http = require("http");
+var _ = require("lodash");
+var utils = require("./utils");
+
+var METRIC_PREFIX = "nodejs_dashboard";
+var CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+var HTTP_OK = 200;
+var HTTP_NOT_FOUND = 404;
+
+/**
+ * Convert a metric path into a Prometheus metric name.
+ *
+ * @param {String[]} path
+ * The path of the metric (ex: ["eventLoop", "delay"]).
+ *
+ * @returns {String}
+ * The metric name is returned (ex: nodejs_dashboard_event_loop_delay).
+ */
+var getMetricName = function (path) {
+  return [METRIC_PREFIX].concat(_.map(path, _.snakeCase)).join("_");
+};
+
+/**
+ * Escape a label value as required by the Prometheus text format.
+ *
+ * @param {String} value
+ * The label value.
+ *
+ * @returns {String}
+ * The escaped label value is returned.
+ */
+var escapeLabelValue = function (value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, "\\\"")
+    .replace(/\n/g, "\\n");
+};
+
+/**
+ * This is the constructor for the PrometheusExporter, which serves the
+ * latest metrics received from the agent in the Prometheus text format.
+ *
+ * @param {Object} options
+ * Options that may be specified, appName is used as the app label.
+ *
+ * @returns {void}
+ */
+var PrometheusExporter = function PrometheusExporter(options) {
+  this.appName = options.appName;
+  this.metrics = {};
+  this.server = http.createServer(this._onRequest.bind(this));
+};
+
+/**
+ * Start serving the metrics.
+ *
+ * @param {Number} port
+ * The port to listen on.
+ *
+ * @param {Function} callback
+ * Called once listening, or with the error when the port can't be listened
+ * on (ex: it is in use).
+ *
+ * @returns {void}
+ */
+PrometheusExporter.prototype.listen = function (port, callback) {
+  var onError = function (err) {
+    callback(err);
+  };
+
+  this.server.once("error", onError);
+  this.server.listen(port, function () {
+    this.server.removeListener("error", onError);
+    callback(null);
+  }.bind(this));
+};
+
+/**
+ * Stop serving the metrics.
+ *
+ * @param {Function} [callback]
+ * Called once closed.
+ *
+ * @returns {void}
+ */
+PrometheusExporter.prototype.close = function (callback) {
+  this.server.close(callback);
+};
+
+/**
+ * Keep the latest metrics received.
+ *
+ * @param {Object} data
+ * The metrics received from the agent.
+ *
+ * @returns {void}
+ */
+PrometheusExporter.prototype.update = function (data) {
+  this.metrics = data;
+};
+
+/**
+ * Format the latest metrics in the Prometheus text format.  Paths that are
+ * named like a path before them (ex: custom.requestCount and
+ * custom.request_count) are left out, with a comment, rather than repeating
+ * a series.
+ *
+ * @returns {String}
+ * The formatted metrics are returned.
+ */
+PrometheusExporter.prototype.format = function () {
+  var labels = "{app=\"" + escapeLabelValue(this.appName) + "\"}";
+  var paths = {};
+
+  return _.map(utils.flattenMetrics(this.metrics), function (metric) {
+    var name = getMetricName(metric.path);
+    var path = metric.path.join(".");
+
+    if (_.has(paths, name)) {
+      return "# " + path + " left out, " + paths[name] + " is named " + name + " already\n";
+    }
+    paths[name] = path;
+
+    return "# HELP " + name + " " + path + " reported by the agent\n"
+      + "# TYPE " + name + " gauge\n"
+      + name + labels + " " + metric.value + "\n";
+  }).join("");
+};
+
+PrometheusExporter.prototype._onRequest = function (request, response) {
+  if (request.method !== "GET" || request.url.split("?")[0] !== "/metrics") {
+    response.writeHead(HTTP_NOT_FOUND, { "Content-Type": "text/plain" });
+    response.end("Not Found\n");
+    return;
+  }
+
+  response.writeHead(HTTP_OK, { "Content-Type": CONTENT_TYPE });
+  response.end(this.format());
+};
+
+module.exports = PrometheusExporter;
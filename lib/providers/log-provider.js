@@ -1,39 +1,363 @@
 "use strict";
 
 var EventEmitter = require("events").EventEmitter;
+var _ = require("lodash");
+var AppProcess = require("../app-process");
+
+var STREAMS = ["stdout", "stderr"];
+
+// the budget of each stream (and of the markers)
+var DEFAULT_MAX_LINES = 10000;
+var DEFAULT_MAX_BYTES = 4194304;
+
+// a line that doesn't end yet (ex: a prompt) is shown after a while
+var PARTIAL_LINE_TIMEOUT = 200;
+
+// the lines counted for the log metrics, besides those of each stream
+var DEFAULT_MATCHES = { error: /error/i };
+
+// ex: error=ERROR|FATAL
+var MATCH_PATTERN = /^(\w+)=(.+)$/;
+
+var getEmptyLineCounts = function (matches) {
+  return { stdout: 0, stderr: 0, matches: _.mapValues(matches, _.constant(0)) };
+};
+
+/**
+ * This is the constructor for a LineBuffer, a ring buffer of lines in the
+ * order they were logged, which drops the oldest lines when it holds more
+ * lines or bytes than its budget.
+ *
+ * @param {Number} maxLines
+ * The maximum number of lines.
+ *
+ * @param {Number} maxBytes
+ * The maximum number of bytes of all the lines.
+ *
+ * @returns {void}
+ */
+var LineBuffer = function LineBuffer(maxLines, maxBytes) {
+  this.lines = new Array(Math.max(maxLines, 1));
+  this.maxBytes = maxBytes;
+  this.start = 0;
+  this.length = 0;
+  this.bytes = 0;
+};
+
+LineBuffer.prototype.get = function (index) {
+  return this.lines[(this.start + index) % this.lines.length];
+};
+
+LineBuffer.prototype.push = function (line) {
+  if (this.length === this.lines.length) {
+    this.shift();
+  }
+
+  this.lines[(this.start + this.length) % this.lines.length] = line;
+  this.length++;
+  this.bytes += line.bytes;
+
+  // the newest line is kept even when it is over the budget on its own
+  while (this.bytes > this.maxBytes && this.length > 1) {
+    this.shift();
+  }
+};
+
+LineBuffer.prototype.shift = function () {
+  var line = this.get(0);
+
+  this.lines[this.start] = undefined;
+  this.start = (this.start + 1) % this.lines.length;
+  this.length--;
+  this.bytes -= line.bytes;
+};
+
+// change the number of lines kept, dropping the oldest ones if needed
+LineBuffer.prototype.resize = function (maxLines) {
+  var lines = this.slice(Math.max(this.length - maxLines, 0), this.length);
+
+  this.lines = new Array(Math.max(maxLines, 1));
+  this.start = 0;
+  this.length = 0;
+  this.bytes = 0;
+  _.each(lines, this.push.bind(this));
+};
+
+// the index of the first line logged at or after a time, lines being in time order
+LineBuffer.prototype.findIndex = function (time) {
+  var low = 0;
+  var high = this.length;
+  var middle;
+
+  while (low < high) {
+    middle = Math.floor(_.mean([low, high]));
+
+    if (this.get(middle).time < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+};
+
+LineBuffer.prototype.slice = function (from, to) {
+  return _.times(Math.max(to - from, 0), function (index) {
+    return this.get(from + index);
+  }.bind(this));
+};
+
+/**
+ * This is the constructor for the LogProvider, which keeps the lines of
+ * output of the app, and the markers of its exits and restarts, for the views
+ * to show.  Output comes in chunks, which are split into lines, a line being
+ * kept until it ends.
+ *
+ * @param {Object} screen
+ * The screen emitting the output of the app.
+ *
+ * @param {Object} [options]
+ * Options that may be specified, maxLines and maxBytes are the budget of
+ * each stream, 10000 lines and 4 MB by default.  matches are the regular
+ * expressions of the lines to count (ex: errors), keyed by name.
+ *
+ * @returns {void}
+ */
+var LogProvider = function LogProvider(screen, options) {
+  var settings = _.defaults({}, options, {
+    maxLines: DEFAULT_MAX_LINES,
+    maxBytes: DEFAULT_MAX_BYTES,
+    matches: DEFAULT_MATCHES
+  });
 
-var LogProvider = function LogProvider(screen) {
   EventEmitter.call(this);
 
-  this._log = [];
-  this.limit = 10000;
+  this.limit = settings.maxLines;
+  this._buffers = _.reduce(STREAMS.concat("marker"), function (buffers, source) {
+    buffers[source] = new LineBuffer(settings.maxLines, settings.maxBytes);
+
+    return buffers;
+  }, {});
+
+  // lines are ordered across streams by the order they were logged in
+  this._sequence = 0;
+  this._partialLines = {};
+  this._partialLineTimeouts = {};
+
+  // whether views show the whole of structured log entries
+  this.expanded = false;
+
+  // the lines logged since the counts were last taken
+  this.matches = settings.matches;
+  this._lineCounts = getEmptyLineCounts(this.matches);
 
   screen.on("stdout", this._onLog.bind(this, "stdout"));
   screen.on("stderr", this._onLog.bind(this, "stderr"));
+  screen.on("app", this._onApp.bind(this));
+  screen.on("expandLogs", this.toggleExpanded.bind(this));
 };
 
 LogProvider.prototype = Object.create(EventEmitter.prototype);
 
-LogProvider.setLimit = function (limit) {
-  this.limit = Math.max(this.limit, limit);
+/**
+ * Parse a match of the lines to count, written as <name>=<regex>
+ * (ex: error=ERROR|FATAL).
+ *
+ * @param {String} source
+ * The match to parse.
+ *
+ * @throws {Error}
+ * An error is thrown if the match is invalid.
+ *
+ * @returns {Object}
+ * The regular expression is returned, keyed by the name of the match.
+ */
+LogProvider.parseMatch = function (source) {
+  var match = MATCH_PATTERN.exec(source);
+  var matches = {};
+
+  if (!match || _.includes(STREAMS, match[1])) {
+    throw new Error("log match should have format <name>=<regex> (ex: error=ERROR|FATAL), "
+      + "where name is a word other than " + STREAMS.join(" or ") + ": " + source);
+  }
+
+  try {
+    matches[match[1]] = new RegExp(_.last(match));
+  } catch (err) {
+    throw new Error("log match has an invalid regex: " + source);
+  }
+
+  return matches;
+};
+
+// views showing structured logs load the log again with entries expanded or collapsed
+LogProvider.prototype.toggleExpanded = function () {
+  this.expanded = !this.expanded;
+
+  this.emit("refreshLog");
+};
+
+/**
+ * Keep at least a number of lines of each stream (ex: the scrollback of a
+ * view).
+ *
+ * @param {Number} limit
+ * The number of lines.
+ *
+ * @returns {void}
+ */
+LogProvider.prototype.setLimit = function (limit) {
+  if (!(limit > this.limit)) {
+    return;
+  }
+
+  this.limit = limit;
+  _.invokeMap(this._buffers, "resize", limit);
+};
+
+// every line is timestamped as it starts arriving, so that it can be matched with the metrics
+LogProvider.prototype._onLog = function (source, data, time) {
+  var logTime = time || Date.now();
+  var partialLine = this._partialLines[source];
+  var texts = ((partialLine ? partialLine.text : "") + data).split("\n");
+  var rest = texts.pop();
+
+  clearTimeout(this._partialLineTimeouts[source]);
+  this._partialLines[source] = undefined;
+
+  this._addLines(source, texts, _.map(texts, function (text, index) {
+    return index === 0 && partialLine ? partialLine.time : logTime;
+  }));
+
+  if (rest) {
+    this._partialLines[source] = {
+      text: rest,
+      time: texts.length === 0 && partialLine ? partialLine.time : logTime
+    };
+    this._partialLineTimeouts[source] =
+      setTimeout(this._flushPartialLine.bind(this, source), PARTIAL_LINE_TIMEOUT);
+  }
+};
+
+// lines are emitted together, as a chunk of output ending with a new line
+LogProvider.prototype._addLines = function (source, texts, times) {
+  var lines = _.map(texts, function (text) { return text.replace(/\r$/, ""); });
+
+  if (lines.length === 0) {
+    return;
+  }
+
+  _.each(lines, function (text, index) {
+    this._push(source, text, times[index]);
+  }.bind(this));
+
+  this._lineCounts[source] += lines.length;
+  _.each(this.matches, function (regex, name) {
+    this._lineCounts.matches[name] += _.filter(lines, function (text) {
+      return regex.test(text);
+    }).length;
+  }.bind(this));
+
+  this.emit(source, lines.join("\n") + "\n", _.head(times));
+};
+
+LogProvider.prototype._push = function (source, text, time) {
+  this._buffers[source].push({
+    source: source,
+    text: text,
+    time: time,
+    sequence: this._sequence++,
+    bytes: Buffer.byteLength(text)
+  });
+};
+
+LogProvider.prototype._flushPartialLine = function (source) {
+  var partialLine = this._partialLines[source];
+
+  if (partialLine) {
+    this._onLog(source, "\n", partialLine.time);
+  }
 };
 
-LogProvider.prototype._onLog = function (source, data) {
-  this._log.push([source, data]);
-  if (this._log.length > this.limit) {
-    this._log = this._log.slice(this.limit - this._log.length);
+// app exits and restarts are marked in the log of every stream
+LogProvider.prototype._onApp = function (data, time) {
+  if (data.event === "start" && !data.restarts) {
+    return;
   }
 
-  this.emit(source, data);
+  var eventTime = time || Date.now();
+  var marker = AppProcess.describe(data, eventTime);
+
+  // the last line of the app is shown before the marker, even if it doesn't end
+  _.each(STREAMS, this._flushPartialLine.bind(this));
+
+  this._push("marker", marker, eventTime);
+  this.emit("marker", marker, eventTime);
+};
+
+/**
+ * Get lines of the log of some streams, along with the markers, either the
+ * newest ones or those logged in a time range.
+ *
+ * @param {String[]} sources
+ * The streams to get the lines of.
+ *
+ * @param {Object} [options]
+ * Options that may be specified, limit is the number of newest lines to get,
+ * start (inclusive) and end (exclusive) are the time range of the lines.
+ *
+ * @returns {Object[]}
+ * The lines are returned, oldest first, with their source (or "marker"),
+ * text and time.
+ */
+LogProvider.prototype.getLines = function (sources, options) {
+  var settings = options || {};
+  var lines = _.flatMap(["marker"].concat(sources), function (source) {
+    var buffer = this._buffers[source];
+    var from;
+    var to;
+
+    if (!buffer) {
+      return [];
+    }
+
+    from = settings.start === undefined ? 0 : buffer.findIndex(settings.start);
+    to = settings.end === undefined ? buffer.length : buffer.findIndex(settings.end);
+
+    // each buffer has at most the newest lines wanted
+    return buffer.slice(settings.limit ? Math.max(from, to - settings.limit) : from, to);
+  }.bind(this));
+
+  lines = _.sortBy(lines, "sequence");
+
+  return _.map(settings.limit ? _.takeRight(lines, settings.limit) : lines, function (line) {
+    return _.pick(line, ["source", "text", "time"]);
+  });
+};
+
+/**
+ * Get how many lines were logged to each stream, and how many of them matched
+ * each of the matches, since the counts were last taken (ex: for the previous
+ * metrics).
+ *
+ * @returns {Object}
+ * The counts of stdout and stderr are returned, with the counts of the
+ * matches keyed by name.
+ */
+LogProvider.prototype.takeLineCounts = function () {
+  var lineCounts = this._lineCounts;
+
+  this._lineCounts = getEmptyLineCounts(this.matches);
+
+  return lineCounts;
 };
 
-LogProvider.prototype.getLog = function (sources, limit) {
-  return this._log
-    .filter(function (entry) { return sources.indexOf(entry[0]) !== -1; })
-    .slice(0, limit || this.limit)
-    .map(function (entry) { return entry[1]; })
-    .join("")
-    .replace(/\n$/, "");
+// markers are formatted by the view showing them (ex: as a separator line)
+LogProvider.prototype.getLog = function (sources, limit, formatMarker) {
+  return _.map(this.getLines(sources, { limit: limit || this.limit }), function (line) {
+    return line.source === "marker" && formatMarker ? formatMarker(line.text) : line.text;
+  }).join("\n");
 };
 
 module.exports = LogProvider;
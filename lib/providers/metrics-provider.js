@@ -6,14 +6,27 @@
 
 var EventEmitter = require("events").EventEmitter;
 var _ = require("lodash");
+var Alerts = require("../alerts");
 var constants = require("../constants");
 var time = require("../time");
+var utils = require("../utils");
 
 // get the defined aggregation levels
 var AGGREGATE_TIME_LEVELS = constants.AGGREGATE_TIME_LEVELS;
 
-// what a valid time offset looks like
-var TIME_LABEL_PATTERN = /^(\d+y)?\s*(\d{1,3}d)?\s*(\d{1,2})?(:\d{1,2})?(:\d{2})?$/i;
+// the statistics computed for every time band, the averages being the
+// aggregate data itself
+var STATISTICS = _.assign(
+  { average: utils.STATISTICS.mean },
+  _.pick(utils.STATISTICS, ["min", "max", "p50", "p95", "p99"])
+);
+
+// without retention configured, every aggregation level keeps this many time slots
+// (ex: 1h of 1s aggregates, 150d of 1h aggregates)
+var DEFAULT_RETENTION_SLOTS = 3600;
+
+var TIME_LABEL_PATTERN = constants.TIME_LABEL_PATTERN;
+var ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]/i;
 
 /**
  * This is the constructor for the MetricsProvider
@@ -21,10 +34,19 @@ var TIME_LABEL_PATTERN = /^(\d+y)?\s*(\d{1,3}d)?\s*(\d{1,2})?(:\d{1,2})?(:\d{2})
  * @param {Object} screen
  * The blessed screen object.
  *
+ * @param {Object} [options]
+ * Options that may be specified, startTime defines the beginning of the
+ * timeline (ex: when replaying a recording).  It defaults to now.  alerts
+ * are the alert rules to evaluate as metrics are received.  retention is how
+ * long in ms to keep the aggregates of each aggregation level, keyed by level
+ * (see parseRetention).  timeAxis is how times are shown and entered, one of
+ * "elapsed" (default), "local" or "utc".  logProvider is the LogProvider
+ * whose lines are counted to add the log metrics to the metrics received.
+ *
  * @returns {void}
  */
 var MetricsProvider =
-  function MetricsProvider(screen) {
+  function MetricsProvider(screen, options) {
 
     /**
      * Setup the process to aggregate the data as and when it is necessary.
@@ -35,8 +57,16 @@ var MetricsProvider =
       function setupAggregation() {
         // construct the aggregation container
         this._aggregation = _.reduce(AGGREGATE_TIME_LEVELS, function (prev, timeLevel) {
+          var retention = _.get(options, ["retention", timeLevel]);
+
           prev[timeLevel] = {
             data: [],
+            statistics: _.mapValues(_.omit(STATISTICS, "average"), function () { return []; }),
+            // the time index of the first time slot retained, and how many are kept
+            offset: 0,
+            retention: retention
+              ? Math.max(Math.floor(retention / +timeLevel), 1)
+              : DEFAULT_RETENTION_SLOTS,
             lastTimeIndex: undefined,
             lastAggregateIndex: 0,
             scrollOffset: 0
@@ -50,35 +80,104 @@ var MetricsProvider =
         this.lowestAggregateTimeUnits = +this.aggregationLevels[0];
         this.highestAggregationKey = _.last(this.aggregationLevels);
 
-        // remember when all this started
-        this._startTime = Date.now();
+        // remember when all this started, and how to show it
+        this._startTime = options && options.startTime || Date.now();
+        this.timeAxis = options && options.timeAxis || "elapsed";
+
+        if (MetricsProvider.TIME_AXES.indexOf(this.timeAxis) === -1) {
+          throw new Error("Unknown time axis '" + this.timeAxis
+            + "', expected one of " + MetricsProvider.TIME_AXES.join(", "));
+        }
 
         // this is where we stopped aggregating
         this._lastAggregationIndex = 0;
       }.bind(this);
 
+    /**
+     * Listen for the metrics and app events, and for the graphs to be
+     * navigated.
+     *
+     * @returns {void}
+     */
+    var setupEventHandlers =
+      function setupEventHandlers() {
+        screen.on("metrics", this._onMetrics.bind(this));
+        screen.on("app", this._onApp.bind(this));
+        screen.on("zoomGraphs", this.adjustZoomLevel.bind(this));
+        screen.on("scrollGraphs", this.adjustScrollOffset.bind(this));
+        screen.on("startGraphs", this.startGraphs.bind(this));
+        screen.on("resetGraphs", this.resetGraphs.bind(this));
+        screen.on("cycleStatistic", this.cycleStatistic.bind(this));
+        screen.on("toggleCursor", this.toggleCursor.bind(this));
+        screen.on("moveCursor", this.moveCursor.bind(this));
+      }.bind(this);
+
     EventEmitter.call(this);
 
     // the low-level container of all metrics provided
     this._metrics = [];
 
+    // when the app was restarted, to mark it on the graphs
+    this._restartTimes = [];
+
+    // the time the graphs are positioned at, null while following the newest metrics
+    this.timeWindow = null;
+
+    this.logProvider = options && options.logProvider;
+
     // setup for aggregation
     setupAggregation();
 
+    this.alerts = new Alerts(options && options.alerts);
+
     // initialize the zoom level to the lowest level
     this.setZoomLevel(0);
 
     // callback handlers
-    screen.on("metrics", this._onMetrics.bind(this));
-    screen.on("zoomGraphs", this.adjustZoomLevel.bind(this));
-    screen.on("scrollGraphs", this.adjustScrollOffset.bind(this));
-    screen.on("startGraphs", this.startGraphs.bind(this));
-    screen.on("resetGraphs", this.resetGraphs.bind(this));
+    setupEventHandlers();
   };
 
 // MetricsProvider inherits from EventEmitter
 MetricsProvider.prototype = Object.create(EventEmitter.prototype);
 
+// the statistics that may be graphed
+MetricsProvider.STATISTICS = _.keys(STATISTICS);
+
+// how times may be shown: elapsed time, or the wall clock in local time or UTC
+MetricsProvider.TIME_AXES = ["elapsed", "local", "utc"];
+
+/**
+ * Parse how long to keep the aggregates of aggregation levels, written as
+ * comma separated <level>=<duration> (ex: 1s=1h,1m=7d).
+ *
+ * @param {String} source
+ * The retention to parse.
+ *
+ * @throws {Error}
+ * An error is thrown if the retention is invalid.
+ *
+ * @returns {Object}
+ * The retention in ms is returned, keyed by aggregation level.
+ */
+MetricsProvider.parseRetention = function (source) {
+  return _.reduce(source.split(","), function (prev, levelRetention) {
+    var match = /^([^=]+)=([^=]+)$/.exec(levelRetention);
+    var level = match ? String(time.parseDuration(match[1])) : undefined;
+
+    if (!_.includes(AGGREGATE_TIME_LEVELS, level)) {
+      throw new Error("retention should have format <level>=<duration> (ex: 1s=1h,1m=7d), "
+        + "where level is one of "
+        + _.map(AGGREGATE_TIME_LEVELS, function (key) { return time.formatDuration(+key); })
+          .join(", ")
+        + ": " + levelRetention);
+    }
+
+    prev[level] = time.parseDuration(_.last(match));
+
+    return prev;
+  }, {});
+};
+
 /**
  * Given a moment in time, the start time, and time units, produce the
  * correct time index.
@@ -128,25 +227,86 @@ MetricsProvider.prototype.setZoomLevel = function setZoomLevel(zoom) {
 };
 
 /**
- * Get the minimum and maximum times for the current zoom.
+ * Get the minimum and maximum times retained, at any zoom.
  *
  * @returns {Object}
  * An object containing the time range is returned
  */
 MetricsProvider.prototype.getAvailableTimeRange = function getAvailableTimeRange() {
-  var maxAverages = this._aggregation[this.lowestAggregateTimeUnits].data.length - 1;
+  var maxTime = _.max(_.map(this._aggregation, function (aggregation, aggregateKey) {
+    return Math.max(aggregation.data.length - 1, 0) * +aggregateKey;
+  }));
+
   return {
     minTime: {
-      label: time.getLabel(0),
+      label: this.getTimeLabel(0),
       value: 0
     },
     maxTime: {
-      label: time.getLabel(maxAverages * this.lowestAggregateTimeUnits),
-      value: maxAverages * this.lowestAggregateTimeUnits
+      label: this.getTimeLabel(maxTime),
+      value: maxTime
     }
   };
 };
 
+/**
+ * Describe a time range for display, oldest last for elapsed time and
+ * oldest first on the wall clock.
+ *
+ * @this MetricsProvider
+ *
+ * @param {Object} timeRange
+ * The time range, as returned by getAvailableTimeRange.
+ *
+ * @returns {String}
+ * The description is returned (ex: :00 and 1:00).
+ */
+var describeTimeRange =
+  function describeTimeRange(timeRange) {
+    var labels = [timeRange.minTime.label, timeRange.maxTime.label];
+
+    return (this.isWallClock() ? labels.reverse() : labels).join(" and ");
+  };
+
+/**
+ * Check to see if times are shown on the wall clock rather than as elapsed
+ * time.
+ *
+ * @returns {Boolean}
+ * Truthy if times are wall clock times, falsey otherwise.
+ */
+MetricsProvider.prototype.isWallClock = function isWallClock() {
+  return this.timeAxis !== "elapsed";
+};
+
+/**
+ * Get the time of the newest time slot, which time values count back from.
+ *
+ * @returns {Number}
+ * The timestamp of the newest time slot is returned.
+ */
+MetricsProvider.prototype.getNewestTime = function getNewestTime() {
+  var aggregation = this._aggregation[this.aggregationLevels[0]];
+  var newestIndex = Math.max(aggregation.offset + aggregation.data.length - 1, 0);
+
+  return this._startTime + newestIndex * this.lowestAggregateTimeUnits;
+};
+
+/**
+ * Get the label of a time value, as elapsed time or on the wall clock.
+ *
+ * @param {Number} timeValue
+ * The time value, in ms before the newest time slot.
+ *
+ * @returns {String}
+ * The label is returned.
+ */
+MetricsProvider.prototype.getTimeLabel = function getTimeLabel(timeValue) {
+  return this.isWallClock()
+    ? time.getClockTime(this.getNewestTime() - timeValue, this.timeAxis === "utc")
+    : time.getLabel(timeValue);
+};
+
 /**
  * Check to see if data exists at the current zoom level.
  *
@@ -157,6 +317,52 @@ MetricsProvider.prototype.hasZoomLevelData = function hasZoomLevelData() {
   return this.getCurrentAggregation().data.length > 0;
 };
 
+/**
+ * Get the time window of a time slot of the current zoom, by default the one
+ * under the cursor, or the newest one shown without a cursor.
+ *
+ * @param {Number} [slotsBack]
+ * How many time slots back from the newest one the time slot is.
+ *
+ * @returns {Object}
+ * The start (inclusive) and end (exclusive) timestamps of the time slot are
+ * returned.
+ */
+MetricsProvider.prototype.getTimeWindow = function getTimeWindow(slotsBack) {
+  var aggregation = this.getCurrentAggregation();
+  var aggregateTimeUnits = +this.zoomLevelKey;
+  var back = slotsBack === undefined
+    ? (this.cursor || 0) - aggregation.scrollOffset
+    : slotsBack;
+  var timeIndex = Math.max(aggregation.offset + aggregation.data.length - 1 - back, 0);
+  var start = this._startTime + timeIndex * aggregateTimeUnits;
+
+  return { start: start, end: start + aggregateTimeUnits };
+};
+
+/**
+ * Let the consumer know when the time window the graphs are positioned at
+ * changes (ex: to show the logs of that time).  It is null when they follow
+ * the newest metrics.
+ *
+ * @this MetricsProvider
+ *
+ * @param {Object} [timeWindow]
+ * The time window, when it is not the one of the cursor or scroll offset.
+ *
+ * @returns {void}
+ */
+var emitTimeWindow =
+  function emitTimeWindow(timeWindow) {
+    var current = timeWindow
+      || (this.cursor === undefined && !this.isScrolled() ? null : this.getTimeWindow());
+
+    if (!_.isEqual(current, this.timeWindow)) {
+      this.timeWindow = current;
+      this.emit("timeWindow", current);
+    }
+  };
+
 /**
  * Adjust the zoom level using the delta provided.  The zoom level
  * may be clamped.  Once set, the consumer is notified.
@@ -176,6 +382,7 @@ MetricsProvider.prototype.adjustZoomLevel = function adjustZoomLevel(zoom) {
   }
 
   this.emit("refreshMetrics");
+  emitTimeWindow.call(this);
 };
 
 /**
@@ -204,10 +411,12 @@ MetricsProvider.prototype.adjustScrollOffset = function adjustScrollOffset(scrol
     Math.min(currentAggregation.scrollOffset + scroll, 0);
 
   this.emit("refreshMetrics");
+  emitTimeWindow.call(this);
 };
 
 /**
- * Given a time value entered, go there.
+ * Given a time value entered, go there.  When the aggregates of the current
+ * zoom are no longer retained that far back, zoom out until they are.
  *
  * @param {String} timeValue
  * The time value to go to.
@@ -215,8 +424,14 @@ MetricsProvider.prototype.adjustScrollOffset = function adjustScrollOffset(scrol
  * @returns {void}
  */
 MetricsProvider.prototype.gotoTimeValue = function gotoTimeValue(timeValue) {
+  while (this.zoomLevel < this.aggregationLevels.length - 1
+    && (this.getCurrentAggregation().data.length - 1) * +this.zoomLevelKey < timeValue) {
+    this.setZoomLevel(this.zoomLevel + 1);
+  }
+
   // set a goto offset
   this.gotoOffset = -convertElapsedTimeToTimeIndex(timeValue, 0, +this.zoomLevelKey);
+  emitTimeWindow.call(this, this.getTimeWindow(-this.gotoOffset));
   this.emit("refreshMetrics");
 };
 
@@ -244,12 +459,73 @@ MetricsProvider.prototype.resetGraphs = function resetGraphs() {
   // reset to start zoom
   this.setZoomLevel(0);
 
+  // graph the statistics of the layout config again, without a cursor
+  this.statistic = undefined;
+  this.cursor = undefined;
+
   // clear all scroll offsets
   for (var aggregateKey in this._aggregation) {
     this._aggregation[aggregateKey].scrollOffset = 0;
   }
 
   this.emit("refreshMetrics");
+  emitTimeWindow.call(this);
+};
+
+/**
+ * Graph the next statistic of the aggregates, in every graph.  Once set, the
+ * consumer is notified.
+ *
+ * @returns {void}
+ */
+MetricsProvider.prototype.cycleStatistic = function cycleStatistic() {
+  var statistics = MetricsProvider.STATISTICS;
+  var index = _.indexOf(statistics, this.statistic || "average");
+
+  this.statistic = statistics[(index + 1) % statistics.length];
+
+  this.emit("refreshMetrics");
+};
+
+/**
+ * Show or hide the cursor of the graphs, which starts at the newest time slot
+ * shown.  Once set, the consumer is notified.
+ *
+ * @returns {void}
+ */
+MetricsProvider.prototype.toggleCursor = function toggleCursor() {
+  this.cursor = this.cursor === undefined ? 0 : undefined;
+
+  this.emit("cursor", this.cursor);
+  emitTimeWindow.call(this);
+};
+
+/**
+ * Move the cursor of the graphs, within the time slots of the current zoom.
+ * Once set, the consumer is notified.
+ *
+ * @param {Number} delta
+ * How many time slots to move the cursor by, negative to move back in time.
+ *
+ * @returns {void}
+ */
+MetricsProvider.prototype.moveCursor = function moveCursor(delta) {
+  var currentAggregation = this.getCurrentAggregation();
+
+  if (this.cursor === undefined) {
+    return;
+  }
+
+  // the cursor counts time slots back from the newest one shown, so every
+  // graph puts it at the same time whatever its width
+  this.cursor = _.clamp(
+    this.cursor - delta,
+    0,
+    Math.max(currentAggregation.data.length + currentAggregation.scrollOffset - 1, 0)
+  );
+
+  this.emit("cursor", this.cursor);
+  emitTimeWindow.call(this);
 };
 
 /**
@@ -286,7 +562,8 @@ MetricsProvider.prototype.getCurrentScrollOffset = function getCurrentScrollOffs
 };
 
 /**
- * Given a metric data object, construct an initialized average.
+ * Given a metric data object, construct an initialized average.  Metrics
+ * may be nested to any depth (ex: custom metrics).
  *
  * @param {Object} data
  * The metric data received.
@@ -296,19 +573,118 @@ MetricsProvider.prototype.getCurrentScrollOffset = function getCurrentScrollOffs
  */
 var getInitializedAverage =
   function getInitializedAverage(data) {
-    return _.reduce(data, function (prev, a, dataKey) {
-      // create a first-level object of the key
-      prev[dataKey] = {};
-
-      _.each(data[dataKey], function (b, dataMetricKey) {
-        // the metrics are properties inside this object
-        prev[dataKey][dataMetricKey] = 0;
-      });
+    return _.reduce(data, function (prev, value, dataKey) {
+      // nested objects are initialized recursively, the metrics are the leaves
+      prev[dataKey] = _.isPlainObject(value) ? getInitializedAverage(value) : 0;
 
       return prev;
     }, {});
   };
 
+/**
+ * Given an average template and the rows of a time band, compute a statistic
+ * of every metric in the template.
+ *
+ * @param {Object} template
+ * The initialized average describing the metrics to aggregate.
+ *
+ * @param {Object[]} rows
+ * The rows (or nested objects of the rows) to aggregate.
+ *
+ * @param {Function} statistic
+ * The function computing the statistic of the values of a metric.
+ *
+ * @returns {Object}
+ * The aggregated object is returned.
+ */
+var getAggregate =
+  function getAggregate(template, rows, statistic) {
+    return _.mapValues(template, function (value, dataKey) {
+      var values = _.map(rows, function (row) {
+        return row ? row[dataKey] : undefined;
+      });
+
+      if (_.isPlainObject(value)) {
+        return getAggregate(value, values, statistic);
+      }
+
+      // metrics may not be reported by every row (ex: custom metrics created
+      // after the app started), so only aggregate the rows that have the metric
+      values = _.filter(values, _.isNumber);
+
+      // after the aggregate is done, truncate it to one decimal point
+      return values.length ? +statistic(values).toFixed(1) : 0;
+    });
+  };
+
+/**
+ * Forget the oldest time slots of an aggregation level beyond its retention.
+ *
+ * @param {Object} aggregation
+ * The aggregation level.
+ *
+ * @returns {void}
+ */
+var expireTimeSlots =
+  function expireTimeSlots(aggregation) {
+    var expired = aggregation.data.length - aggregation.retention;
+
+    if (expired <= 0) {
+      return;
+    }
+
+    aggregation.data.splice(0, expired);
+    _.each(aggregation.statistics, function (values) {
+      values.splice(0, expired);
+    });
+
+    // the time index of the first time slot retained
+    aggregation.offset += expired;
+  };
+
+/**
+ * Forget the restarts of the app older than the time slots retained by every
+ * aggregation level, since none of them can mark them anymore.
+ *
+ * @this MetricsProvider
+ *
+ * @returns {void}
+ */
+var expireRestartTimes =
+  function expireRestartTimes() {
+    var oldestTime = _.min(_.map(this._aggregation, function (aggregation, timeLevel) {
+      return this._startTime + aggregation.offset * +timeLevel;
+    }.bind(this)));
+
+    this._restartTimes = _.filter(this._restartTimes, function (restartTime) {
+      return restartTime >= oldestTime;
+    });
+  };
+
+/**
+ * Forget the metrics received that every aggregation level has aggregated,
+ * the time bands still open at each level being kept.
+ *
+ * @this MetricsProvider
+ *
+ * @returns {void}
+ */
+var evictAggregatedMetrics =
+  function evictAggregatedMetrics() {
+    var aggregated = _.min(_.map(this._aggregation, "lastAggregateIndex"));
+
+    if (!aggregated) {
+      return;
+    }
+
+    this._metrics.splice(0, aggregated);
+    this._lastAggregationIndex -= aggregated;
+
+    _.each(this._aggregation, function (aggregation) {
+      aggregation.lastAggregateIndex -= aggregated;
+    });
+  };
+
 /**
  * Perform event-driven aggregation at all configured units of time.
  *
@@ -327,9 +703,9 @@ var aggregateMetrics =
     var aggregateKey;
 
     /**
-     * Place aggregate data into the specified slot.  If the current zoom
-     * level matches the aggregate level, the data is emitted to keep the
-     * display in sync.
+     * Place aggregate data into the specified slot.  Every aggregate is
+     * emitted with its level and slot, and if the current zoom level matches
+     * the aggregate level, the data is also emitted to keep the display in sync.
      *
      * @param {Number} index
      * The desired slot for the aggregate.
@@ -337,11 +713,26 @@ var aggregateMetrics =
      * @param {Object} data
      * The aggregate data.
      *
+     * @param {Object} [statistics]
+     * The other statistics of the aggregate, keyed by statistic.  They
+     * default to the aggregate data (ex: for empty slots).
+     *
      * @returns {void}
      */
     var setAggregateData =
-      function setAggregateData(index, data) {
-        this._aggregation[aggregateKey].data[index] = data;
+      function setAggregateData(index, data, statistics) {
+        var aggregation = this._aggregation[aggregateKey];
+        var slot = index - aggregation.offset;
+
+        aggregation.data[slot] = data;
+
+        _.each(aggregation.statistics, function (values, statistic) {
+          values[slot] = statistics ? statistics[statistic] : data;
+        });
+
+        expireTimeSlots(aggregation);
+
+        this.emit("aggregate", data, aggregateKey, index);
 
         // if this view (current or not) is scrolled, adjust it
         if (this._aggregation[aggregateKey].scrollOffset) {
@@ -369,7 +760,8 @@ var aggregateMetrics =
      */
     var addMissingTimeSlots =
       function addMissingTimeSlots(currentTimeIndex) {
-        var aggregateIndex = this._aggregation[aggregateKey].data.length;
+        var aggregation = this._aggregation[aggregateKey];
+        var aggregateIndex = aggregation.offset + aggregation.data.length;
         while (aggregateIndex < currentTimeIndex) {
           setAggregateData(aggregateIndex++, this.emptyAverage);
         }
@@ -382,41 +774,26 @@ var aggregateMetrics =
      * The array reference.
      *
      * @param {Number} startIndex
-     * The starting index to derive an average.
+     * The starting index to derive the statistics.
      *
      * @param {Number} endIndex
-     * The ending index to derive an average.
+     * The ending index to derive the statistics.
      *
-     * @returns {void}
+     * @returns {Object}
+     * The aggregate of every statistic is returned, keyed by statistic.
      */
-    var getAveragedAggregate =
-      function getAveragedAggregate(rows, startIndex, endIndex) {
-        var averagedAggregate = getInitializedAverage(metricData);
-
-        // this is the number of elements we will aggregate
-        var aggregateCount = endIndex - startIndex + 1;
-
-        // you can compute an average of a set of numbers two ways
-        // first, you can add all the numbers together and then divide by the count
-        // second, you call divide each number by the count and add the quotients
-        // the first method is more accurate, however you can overflow an accumulator
-        // and result with NaN
-        // the second method is employed here to ensure no overflows
-
-        for (var dataKey in metricData) {
-          for (var dataMetricKey in metricData[dataKey]) {
-            for (var rowIndex = startIndex; rowIndex <= endIndex; rowIndex++) {
-              averagedAggregate[dataKey][dataMetricKey] +=
-                rows[rowIndex][dataKey][dataMetricKey] / aggregateCount;
-            }
-
-            // after the average is done, truncate the averages to one decimal point
-            averagedAggregate[dataKey][dataMetricKey] =
-              +averagedAggregate[dataKey][dataMetricKey].toFixed(1);
-          }
-        }
-
-        return averagedAggregate;
+    var getBandAggregates =
+      function getBandAggregates(rows, startIndex, endIndex) {
+        var bandRows = rows.slice(startIndex, endIndex + 1);
+
+        // the band may include metrics that the latest metric data does not
+        var template = _.reduce(bandRows, function (prev, row) {
+          return _.merge(prev, getInitializedAverage(row));
+        }, getInitializedAverage(metricData));
+
+        return _.mapValues(STATISTICS, function (statistic) {
+          return getAggregate(template, bandRows, statistic);
+        });
       };
 
     /**
@@ -431,7 +808,7 @@ var aggregateMetrics =
      * @returns {void}
      */
     var processRow = function processRow(rowIndex, rows) {
-      var averagedAggregate;
+      var aggregates;
       var lastTimeIndex = this._aggregation[aggregateKey].lastTimeIndex;
 
       // get the time index of the aggregate
@@ -445,15 +822,15 @@ var aggregateMetrics =
           // add in any missing logical time slots
           addMissingTimeSlots.call(this, lastTimeIndex);
 
-          // get the average across the discovered time band
-          averagedAggregate = getAveragedAggregate(
+          // get the statistics across the discovered time band
+          aggregates = getBandAggregates(
             rows,
             this._aggregation[aggregateKey].lastAggregateIndex,
             rowIndex - 1
           );
 
-          // place the average
-          setAggregateData(lastTimeIndex, averagedAggregate);
+          // place the average, along with the other statistics
+          setAggregateData(lastTimeIndex, aggregates.average, _.omit(aggregates, "average"));
 
           // now we know where the next aggregate begins
           this._aggregation[aggregateKey].lastAggregateIndex = rowIndex;
@@ -472,6 +849,39 @@ var aggregateMetrics =
 
     // remember where we will begin again
     this._lastAggregationIndex++;
+
+    evictAggregatedMetrics.call(this);
+    expireRestartTimes.call(this);
+  };
+
+/**
+ * Get the log metrics, the rate (in lines per second) of the lines logged to
+ * stdout and stderr, and of those matching each of the log matches, since the
+ * previous metrics.
+ *
+ * @param {Number} currentTime
+ * The time the metrics were received.
+ *
+ * @this MetricsProvider
+ *
+ * @returns {Object}
+ * The log metrics are returned.
+ */
+var getLogMetrics =
+  function getLogMetrics(currentTime) {
+    var lineCounts = this.logProvider.takeLineCounts();
+    var elapsed = Math.max(currentTime - (this._logMetricsTime || this._startTime), 1);
+    var getRate = function (count) {
+      return +(count * constants.MILLISECONDS_PER_SECOND / elapsed).toFixed(1);
+    };
+
+    this._logMetricsTime = currentTime;
+
+    return {
+      stdout: getRate(lineCounts.stdout),
+      stderr: getRate(lineCounts.stderr),
+      matches: _.mapValues(lineCounts.matches, getRate)
+    };
   };
 
 /**
@@ -480,27 +890,106 @@ var aggregateMetrics =
  * @param {Object} data
  * The metrics data received.
  *
+ * @param {Number} [receivedTime]
+ * The time the metrics were received, defaults to now.
+ *
  * @returns {void}
  */
 MetricsProvider.prototype._onMetrics =
-  function _onMetrics(data) {
-    // get the current moment in time
-    var currentTime = Date.now();
+  function _onMetrics(data, receivedTime) {
+    // get the moment in time the metrics were received
+    var currentTime = receivedTime || Date.now();
+
+    // the rate of lines logged is graphed along with the metrics of the agent
+    var metrics = this.logProvider
+      ? _.assign({}, data, { log: getLogMetrics.call(this, currentTime) })
+      : data;
 
     // capture the metrics
-    this._metrics.push(data);
+    this._metrics.push(metrics);
 
-    // one time, build an empty average - used for missing time slots
-    if (!this.emptyAverage) {
-      this.emptyAverage = getInitializedAverage(data);
-    }
+    // build an empty average - used for missing time slots
+    // metrics may be added over time, so keep it up to date with all of them
+    this.emptyAverage = _.merge(this.emptyAverage || {}, getInitializedAverage(metrics));
 
     // run aggregation process
-    aggregateMetrics.call(this, currentTime, data);
+    aggregateMetrics.call(this, currentTime, metrics);
 
     // always emit the data, but send a new arg to indicates whether
     // zoom is in effect (and therefore should be ignored)
-    this.emit("metrics", data, this.zoomLevelKey !== undefined);
+    this.emit("metrics", metrics, this.zoomLevelKey !== undefined);
+
+    // notify of alerts raised or resolved by these metrics
+    _.each(this.alerts.check(metrics, currentTime), function (alert) {
+      this.emit("alert", alert);
+    }.bind(this));
+  };
+
+/**
+ * When the app is restarted, remember when.  The metrics of the restarted app
+ * continue on the same timeline.
+ *
+ * @param {Object} data
+ * The app event received.
+ *
+ * @param {Number} [receivedTime]
+ * The time the event was received, defaults to now.
+ *
+ * @returns {void}
+ */
+MetricsProvider.prototype._onApp =
+  function _onApp(data, receivedTime) {
+    if (data.event === "start" && data.restarts) {
+      this._restartTimes.push(receivedTime || Date.now());
+    }
+  };
+
+/**
+ * Find the restarts of the app in the metrics provided by getMetrics.
+ *
+ * @param {Number} limit
+ * The limit of the metrics, as given to getMetrics.
+ *
+ * @returns {Boolean[]}
+ * For each of the metrics, whether the app was restarted during its time
+ * slot is returned.
+ */
+MetricsProvider.prototype.getRestartMarkers =
+  function getRestartMarkers(limit) {
+    var currentAggregation = this.getCurrentAggregation();
+    var end = currentAggregation.data.length + currentAggregation.scrollOffset;
+    var begin = Math.max(end - limit, 0);
+
+    var restartIndexes = _.map(this._restartTimes, function (restartTime) {
+      return convertElapsedTimeToTimeIndex(restartTime, this._startTime, +this.zoomLevelKey)
+        - currentAggregation.offset;
+    }.bind(this));
+
+    return _.times(end - begin, function (index) {
+      return _.includes(restartIndexes, begin + index);
+    });
+  };
+
+/**
+ * Get the alerts raised, active and resolved, oldest first.
+ *
+ * @returns {Object[]}
+ * The alerts are returned.
+ */
+MetricsProvider.prototype.getAlerts =
+  function getAlerts() {
+    return this.alerts.getAlerts();
+  };
+
+/**
+ * Get the alerts that are active.
+ *
+ * @returns {Object[]}
+ * The active alerts are returned.
+ */
+MetricsProvider.prototype.getActiveAlerts =
+  function getActiveAlerts() {
+    return this.alerts.getActiveAlerts();
   };
 
 /**
@@ -509,12 +998,19 @@ MetricsProvider.prototype._onMetrics =
  * @param {Number} limit
  * The limit of the metrics to return.
  *
+ * @param {String} [statistic]
+ * The statistic of the aggregates to return, one of STATISTICS.  It defaults
+ * to the average.
+ *
  * @returns {Number[]}
  * The array of metrics is returned.
  */
 MetricsProvider.prototype.getMetrics =
-  function getMetrics(limit) {
+  function getMetrics(limit, statistic) {
     var currentAggregation = this.getCurrentAggregation();
+    var rows = statistic && statistic !== "average"
+      ? currentAggregation.statistics[statistic]
+      : currentAggregation.data;
 
     /**
      * Given an offset and length, get the corrected offset.
@@ -555,17 +1051,48 @@ MetricsProvider.prototype.getMetrics =
       // 1- limit to the available data at the time scrolling started
       // 2- get the back end of the array, given the scroll offset
       // 3- limit the final result to the limit originally specified
-      return currentAggregation.data
+      return rows
         .slice(0, currentAggregation.data.length)
         .slice(-limit + currentAggregation.scrollOffset)
         .slice(0, limit);
     } else {
       // when there is no offset, just get the back end of the array
       // up to the desired limit specified
-      return currentAggregation.data.slice(-limit);
+      return rows.slice(-limit);
     }
   };
 
+/**
+ * Return the X-Axis for the metrics, labeled with the wall clock time each
+ * time slot starts at.  Slots before the first one retained are unlabeled.
+ *
+ * @this MetricsProvider
+ *
+ * @param {Number} limit
+ * The limit of the X-Axis size.
+ *
+ * @param {Number} scrollOffset
+ * The scroll offset of the current aggregation.
+ *
+ * @returns {String[]}
+ * The X-Axis labels array is returned.
+ */
+var getClockXAxis =
+  function getClockXAxis(limit, scrollOffset) {
+    var aggregation = this.getCurrentAggregation();
+    var aggregateTimeUnits = +this.zoomLevelKey;
+    var newestIndex = aggregation.offset + aggregation.data.length - 1 + scrollOffset;
+
+    return _.times(limit, function (index) {
+      var timeIndex = newestIndex - (limit - 1 - index);
+
+      return timeIndex < aggregation.offset ? "" : time.getClockTime(
+        this._startTime + timeIndex * aggregateTimeUnits,
+        this.timeAxis === "utc"
+      );
+    }.bind(this));
+  };
+
 /**
  * Return the X-Axis for the metrics.
  *
@@ -580,6 +1107,10 @@ MetricsProvider.prototype.getXAxis =
     var scrollOffset = this.getCurrentScrollOffset();
     var xAxis = [];
 
+    if (this.isWallClock()) {
+      return getClockXAxis.call(this, limit, scrollOffset);
+    }
+
     for (
       var timeIndex = -scrollOffset + limit - 1;
       timeIndex >= -scrollOffset;
@@ -592,7 +1123,10 @@ MetricsProvider.prototype.getXAxis =
   };
 
   /**
-   * Given a time label value, validate it.
+   * Given a time label value, validate it.  Time labels are offsets from the
+   * newest time slot (ex: 1:22:33), or with a wall clock time axis, a time of
+   * day (ex: 14:05:30).  ISO timestamps (ex: 2017-06-01T14:05:30Z) are always
+   * accepted.
    *
    * @param {String} label
    * The time label to validate.
@@ -613,22 +1147,20 @@ MetricsProvider.prototype.validateTimeLabel =
       throw new Error("Time value is required");
     }
 
-    // has to look right
-    if (!TIME_LABEL_PATTERN.test(label)) {
+    if (this.isWallClock() || ISO_TIMESTAMP_PATTERN.test(label)) {
+      // wall clock times count back from the newest time slot (this can throw)
+      timeValue = this.getNewestTime()
+        - time.convertClockTimeToTimestamp(label, this.getNewestTime(), this.timeAxis === "utc");
+    } else if (TIME_LABEL_PATTERN.test(label)) {
+      // must be able to convert (this can throw too)
+      timeValue = time.convertTimeLabelToMilliseconds(label);
+    } else {
       throw new Error("Enter a valid time value");
     }
 
-    // must be able to convert (this can throw too)
-    timeValue = time.convertTimeLabelToMilliseconds(label);
-
     // must be a number in range
     if (isNaN(timeValue) || !_.inRange(timeValue, 0, timeRange.maxTime.value + 1)) {
-      throw new Error(
-        "Enter a time value between "
-        + timeRange.minTime.label
-        + " and "
-        + timeRange.maxTime.label
-      );
+      throw new Error("Enter a time value between " + describeTimeRange.call(this, timeRange));
     }
 
     return timeValue;
@@ -0,0 +1,54 @@
+"use strict";
+
+var fs = require("fs");
+
+/**
+ * This is the constructor for the Recorder, which writes the events
+ * received by the dashboard to a file, one JSON object per line.
+ *
+ * @param {String} file
+ * The file to record to, replacing any previous recording in it, since a
+ * replay expects the times of the events to only go forward.
+ *
+ * @returns {void}
+ */
+var Recorder = function Recorder(file) {
+  // writes are synchronous so that nothing is lost when the dashboard exits
+  this.fd = fs.openSync(file, "w");
+};
+
+/**
+ * Append an event to the recording.
+ *
+ * @param {String} type
+ * The type of the event.
+ *
+ * @param {Object} data
+ * The event data.
+ *
+ * @param {Number} time
+ * The time the event was received.
+ *
+ * @returns {void}
+ */
+Recorder.prototype.record = function (type, data, time) {
+  if (this.fd === null) {
+    return;
+  }
+
+  fs.writeSync(this.fd, JSON.stringify({ time: time, type: type, data: data }) + "\n");
+};
+
+/**
+ * Stop recording.
+ *
+ * @returns {void}
+ */
+Recorder.prototype.close = function () {
+  if (this.fd !== null) {
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+};
+
+module.exports = Recorder;
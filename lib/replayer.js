@@ -0,0 +1,156 @@
+"use strict";
+
+var fs = require("fs");
+var _ = require("lodash");
+
+// how many events are replayed before yielding to the screen when replaying instantly
+var INSTANT_BATCH_SIZE = 500;
+
+/**
+ * Load the events of a recording made by the Recorder.
+ *
+ * @param {String} file
+ * The recording to load.
+ *
+ * @throws {Error}
+ * An error is thrown if the recording cannot be read or parsed.
+ *
+ * @returns {Object[]}
+ * The recorded events are returned, in the order they were received.
+ */
+var loadEvents = function (file) {
+  var lines = fs.readFileSync(file, "utf8").split("\n");
+
+  return _.reduce(lines, function (events, line, index) {
+    if (!_.trim(line)) {
+      return events;
+    }
+
+    try {
+      events.push(JSON.parse(line));
+    } catch (err) {
+      throw new Error("Invalid recording " + file + " at line " + (index + 1) + ": " + err.message);
+    }
+
+    return events;
+  }, []);
+};
+
+/**
+ * This is the constructor for the Replayer, which feeds a recording back
+ * to the dashboard.
+ *
+ * @param {String} file
+ * The recording to replay.
+ *
+ * @param {Number|String} speed
+ * The replay speed multiplier (1 replays at real speed), or "instant".
+ *
+ * @returns {void}
+ */
+var Replayer = function Replayer(file, speed) {
+  this.events = loadEvents(file);
+  this.speed = speed;
+
+  // the recording defines its own timeline
+  this.startTime = this.events.length ? this.events[0].time : Date.now();
+};
+
+/**
+ * Start replaying the events to the dashboard.
+ *
+ * @param {Object} dashboard
+ * The dashboard to replay the events to.
+ *
+ * @param {Function} [callback]
+ * Called once all events have been replayed.
+ *
+ * @returns {void}
+ */
+Replayer.prototype.start = function (dashboard, callback) {
+  callback = callback || _.noop;
+
+  if (this.speed === "instant") {
+    this._replayInstantly(dashboard, 0, callback);
+  } else {
+    this._replayStartTime = Date.now();
+    this._replayTimed(dashboard, 0, callback);
+  }
+};
+
+/**
+ * Replay the events in batches, rendering only once per batch.
+ *
+ * @param {Object} dashboard
+ * The dashboard to replay the events to.
+ *
+ * @param {Number} index
+ * The index of the next event to replay.
+ *
+ * @param {Function} callback
+ * Called once all events have been replayed.
+ *
+ * @returns {void}
+ */
+Replayer.prototype._replayInstantly = function (dashboard, index, callback) {
+  _.each(this.events.slice(index, index + INSTANT_BATCH_SIZE), function (event) {
+    dashboard.onEvent(event, true);
+  });
+  dashboard.screen.render();
+
+  index += INSTANT_BATCH_SIZE;
+  if (index >= this.events.length) {
+    callback();
+    return;
+  }
+
+  this._timeout = setTimeout(
+    this._replayInstantly.bind(this, dashboard, index, callback)
+  );
+};
+
+/**
+ * Replay all events that are due, then wait for the next one.
+ *
+ * @param {Object} dashboard
+ * The dashboard to replay the events to.
+ *
+ * @param {Number} index
+ * The index of the next event to replay.
+ *
+ * @param {Function} callback
+ * Called once all events have been replayed.
+ *
+ * @returns {void}
+ */
+Replayer.prototype._replayTimed = function (dashboard, index, callback) {
+  var getDelay = function (event) {
+    return (event.time - this.startTime) / this.speed - (Date.now() - this._replayStartTime);
+  }.bind(this);
+
+  while (index < this.events.length && getDelay(this.events[index]) <= 0) {
+    dashboard.onEvent(this.events[index++]);
+  }
+
+  if (index >= this.events.length) {
+    callback();
+    return;
+  }
+
+  this._timeout = setTimeout(
+    this._replayTimed.bind(this, dashboard, index, callback),
+    getDelay(this.events[index])
+  );
+};
+
+/**
+ * Stop replaying.
+ *
+ * @returns {void}
+ */
+Replayer.prototype.stop = function () {
+  clearTimeout(this._timeout);
+  this._timeout = null;
+};
+
+module.exports = Replayer;
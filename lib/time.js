@@ -6,6 +6,14 @@ var constants = require("./constants");
 var TIME_SCALES = constants.TIME_SCALES;
 var TIME_LABEL_PATTERN = constants.TIME_LABEL_PATTERN;
 
+var HOURS_PER_DAY = 24;
+var MILLISECONDS_PER_HOUR = 3600000;
+
+// wall clock times are a time of day (ex: 14:05 or 14:05:30) or an ISO
+// timestamp (ex: 2017-06-01T14:05:30Z)
+var CLOCK_TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+var ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/i;
+
 /**
  * Compute a condensed human-readable label for a given time value.
  *
@@ -171,3 +179,135 @@ exports.convertTimeLabelToMilliseconds = function (label) {
 
   /* eslint-enable no-magic-numbers */
 };
+
+/**
+ * Format a timestamp as the time of day (ex: 09:05:30).
+ *
+ * @param {Number} timestamp
+ * The timestamp in ms.
+ *
+ * @param {Boolean} [utc]
+ * Whether to format the UTC time of day instead of the local one.
+ *
+ * @returns {String}
+ * The time of day is returned.
+ */
+exports.getClockTime = function (timestamp, utc) {
+  var DIGITS_PER_UNIT = 2;
+  var date = new Date(timestamp);
+  var parts = utc
+    ? [date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+    : [date.getHours(), date.getMinutes(), date.getSeconds()];
+
+  return _.map(parts, function (value) {
+    return _.padStart(value, DIGITS_PER_UNIT, "0");
+  }).join(":");
+};
+
+// the latest timestamp at or before the reference time with the [hours, minutes, seconds] given
+var getLatestTimeOfDay = function (parts, referenceTime, utc) {
+  var MAX_MINUTES = 59;
+  var date = new Date(referenceTime);
+  var hours = _.head(parts);
+  var minutes = _.nth(parts, 1);
+  var seconds = _.last(parts) || 0;
+  var timestamp;
+
+  if (hours >= HOURS_PER_DAY || minutes > MAX_MINUTES || seconds > MAX_MINUTES) {
+    return NaN;
+  }
+
+  timestamp = utc
+    ? date.setUTCHours(hours, minutes, seconds, 0)
+    : date.setHours(hours, minutes, seconds, 0);
+
+  return timestamp > referenceTime ? timestamp - HOURS_PER_DAY * MILLISECONDS_PER_HOUR : timestamp;
+};
+
+/**
+ * Given a wall clock time of day (ex: 14:05:30) or an ISO timestamp
+ * (ex: 2017-06-01T14:05:30Z), produce the timestamp it refers to.  A time of
+ * day refers to its latest occurrence at or before a reference time.
+ *
+ * @param {String} label
+ * The wall clock time to convert.
+ *
+ * @param {Number} referenceTime
+ * The timestamp a time of day is relative to.
+ *
+ * @param {Boolean} [utc]
+ * Whether a time of day is in UTC instead of local time.
+ *
+ * @throws {Error}
+ * An error is thrown if the label is not a valid wall clock time.
+ *
+ * @returns {Number}
+ * The timestamp in ms is returned.
+ */
+exports.convertClockTimeToTimestamp = function (label, referenceTime, utc) {
+  var match = CLOCK_TIME_PATTERN.exec(label);
+  var timestamp;
+
+  if (ISO_TIMESTAMP_PATTERN.test(label)) {
+    timestamp = Date.parse(label.replace(" ", "T"));
+  } else if (match) {
+    timestamp = getLatestTimeOfDay(_.map(match.slice(1), Number), referenceTime, utc);
+  }
+
+  if (!_.isFinite(timestamp)) {
+    throw new Error("Enter a valid time value");
+  }
+
+  return timestamp;
+};
+
+// the units of durations, largest first
+/* eslint-disable no-magic-numbers */
+var DURATION_UNITS = [
+  { units: "w", ms: 604800000 },
+  { units: "d", ms: 86400000 },
+  { units: "h", ms: 3600000 },
+  { units: "m", ms: 60000 },
+  { units: "s", ms: 1000 },
+  { units: "ms", ms: 1 }
+];
+/* eslint-enable no-magic-numbers */
+
+/**
+ * Parse a duration (ex: 90s, 1h, 7d).
+ *
+ * @param {String} source
+ * The duration, a number followed by one of w, d, h, m, s or ms.
+ *
+ * @throws {Error}
+ * An error is thrown if the duration is invalid.
+ *
+ * @returns {Number}
+ * The duration in ms is returned.
+ */
+exports.parseDuration = function (source) {
+  var match = /^(\d+(?:\.\d+)?)(w|d|h|m|s|ms)$/.exec(source);
+
+  if (!match) {
+    throw new Error("duration should be a number followed by w, d, h, m, s or ms: " + source);
+  }
+
+  return +match[1] * _.find(DURATION_UNITS, { units: _.last(match) }).ms;
+};
+
+/**
+ * Format a duration with the largest units it is a whole number of (ex: 5m).
+ *
+ * @param {Number} duration
+ * The duration in ms.
+ *
+ * @returns {String}
+ * The formatted duration is returned.
+ */
+exports.formatDuration = function (duration) {
+  var unit = _.find(DURATION_UNITS, function (durationUnit) {
+    return duration % durationUnit.ms === 0;
+  });
+
+  return duration / unit.ms + unit.units;
+};
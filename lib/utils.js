@@ -1,8 +1,93 @@
 "use strict";
 
+var _ = require("lodash");
+
 var MAX_PERCENT = 100;
 
 exports.getPercentUsed = function (used, total) {
   var percentUsed = Math.floor(used / total * MAX_PERCENT);
   return isNaN(percentUsed) ? 0 : percentUsed;
 };
+
+/**
+ * Flatten metric data into the numeric values it contains.
+ *
+ * @param {Object} data
+ * The metric data, which may be nested to any depth.
+ *
+ * @param {String[]} [path]
+ * The path to the data within the metrics.
+ *
+ * @returns {Object[]}
+ * The array of { path, value } of each numeric metric is returned.
+ */
+exports.flattenMetrics = function flattenMetrics(data, path) {
+  return _.flatMap(data, function (value, key) {
+    var valuePath = (path || []).concat(key);
+
+    if (_.isPlainObject(value)) {
+      return flattenMetrics(value, valuePath);
+    }
+
+    return _.isFinite(value) ? [{ path: valuePath, value: value }] : [];
+  });
+};
+
+/**
+ * Compute a percentile of values, using the nearest rank.
+ *
+ * @param {Number[]} values
+ * The values.
+ *
+ * @param {Number} percentile
+ * The percentile, from 0 to 100 (ex: 95).
+ *
+ * @returns {Number}
+ * The percentile of the values is returned, or undefined when there are none.
+ */
+exports.getPercentile = function (values, percentile) {
+  var sorted = _.sortBy(values);
+  var rank = Math.ceil(percentile / MAX_PERCENT * sorted.length);
+
+  return sorted[_.clamp(rank - 1, 0, sorted.length - 1)];
+};
+
+/**
+ * Compute the average of values.
+ *
+ * @param {Number[]} values
+ * The values to average.
+ *
+ * @returns {Number}
+ * The average is returned.
+ */
+var getAverage = function (values) {
+  // you can compute an average of a set of numbers two ways
+  // first, you can add all the numbers together and then divide by the count
+  // second, you call divide each number by the count and add the quotients
+  // the first method is more accurate, however you can overflow an accumulator
+  // and result with NaN
+  // the second method is employed here to ensure no overflows
+  return _.reduce(values, function (prev, value) {
+    return prev + value / values.length;
+  }, 0);
+};
+
+var getPercentileStatistic = function (percentile) {
+  return function (values) {
+    return exports.getPercentile(values, percentile);
+  };
+};
+
+// the statistics of the values of a metric over time, for the graphs and budgets
+/* eslint-disable no-magic-numbers */
+exports.STATISTICS = {
+  min: _.min,
+  max: _.max,
+  mean: getAverage,
+  p50: getPercentileStatistic(50),
+  p90: getPercentileStatistic(90),
+  p95: getPercentileStatistic(95),
+  p99: getPercentileStatistic(99)
+};
+/* eslint-enable no-magic-numbers */
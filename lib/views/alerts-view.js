@@ -0,0 +1,96 @@
+"use strict";
+
+var assert = require("assert");
+var blessed = require("blessed");
+var util = require("util");
+var _ = require("lodash");
+
+var Alerts = require("../alerts");
+var BaseView = require("./base-view");
+var time = require("../time");
+
+var AlertsView = function AlertsView(options) {
+  BaseView.call(this, options);
+
+  assert(options.metricsProvider, "View requires metricsProvider");
+
+  this.metricsProvider = options.metricsProvider;
+
+  this._createView();
+
+  this._boundRefreshContent = this.refreshContent.bind(this);
+  this.metricsProvider.on("alert", this._boundRefreshContent);
+
+  this.refreshContent();
+};
+
+AlertsView.prototype = Object.create(BaseView.prototype);
+
+AlertsView.prototype.getDefaultLayoutConfig = function () {
+  return {
+    borderColor: "red",
+    title: "alerts"
+  };
+};
+
+AlertsView.prototype._createView = function () {
+  this.node = blessed.box({
+    label: util.format(" %s ", this.layoutConfig.title),
+    scrollable: true,
+    scrollbar: {
+      inverse: true
+    },
+    input: true,
+    keys: true,
+    mouse: true,
+    tags: true,
+    border: "line",
+    style: {
+      border: {
+        fg: this.layoutConfig.borderColor
+      }
+    }
+  });
+
+  this.recalculatePosition();
+
+  this.parent.append(this.node);
+};
+
+/**
+ * Describe an alert for display, with its state and timestamps.
+ *
+ * @param {Object} alert
+ * The alert to describe.
+ *
+ * @returns {String}
+ * The description is returned.
+ */
+AlertsView.prototype.getAlertContent = function (alert) {
+  var state = alert.active
+    ? "{red-fg}{bold}ACTIVE  {/}  " + time.getClockTime(alert.time) + "         "
+    : "{green-fg}RESOLVED{/}  " + time.getClockTime(alert.time)
+      + "-" + time.getClockTime(alert.resolvedTime);
+
+  return state + "  " + Alerts.describeRule(alert.rule) + " (" + alert.value + ")";
+};
+
+AlertsView.prototype.refreshContent = function () {
+  var alerts = this.metricsProvider.getAlerts();
+  var content = alerts.length
+    ? _.map(alerts.slice().reverse(), this.getAlertContent.bind(this)).join("\n")
+    : "No alerts";
+
+  this.node.setContent(content);
+};
+
+AlertsView.prototype.destroy = function () {
+  BaseView.prototype.destroy.call(this);
+
+  this.metricsProvider.removeListener("alert", this._boundRefreshContent);
+
+  this._boundRefreshContent = null;
+  this.metricsProvider = null;
+};
+
+module.exports = AlertsView;
@@ -7,13 +7,22 @@ var _ = require("lodash");
 
 var BaseView = require("./base-view");
 
+var ALERT_BORDER_COLOR = "red";
+var RESTART_MARKER_COLOR = "white";
+var MAX_BAND_COLOR = "blue";
+var CURSOR_COLOR = "yellow";
+
 var BaseLineGraph = function BaseLineGraph(options) {
   var setupEventHandlers = function setupEventHandlers() {
-    this._boundOnEvent = this.onEvent.bind(this);
+    this._boundOnEvent = this._onMetrics.bind(this);
     this._boundOnRefreshMetrics = this.onRefreshMetrics.bind(this);
+    this._boundOnAlert = this._updateBorderColor.bind(this);
+    this._boundOnCursor = this._onCursor.bind(this);
 
     options.metricsProvider.on("metrics", this._boundOnEvent);
     options.metricsProvider.on("refreshMetrics", this._boundOnRefreshMetrics);
+    options.metricsProvider.on("alert", this._boundOnAlert);
+    options.metricsProvider.on("cursor", this._boundOnCursor);
   }.bind(this);
 
   BaseView.call(this, options);
@@ -58,6 +67,66 @@ BaseLineGraph.prototype.onRefreshMetrics = function () {
   throw new Error("BaseLineGraph onRefreshMetrics should be overridden");
 };
 
+/**
+ * Get the statistic of the aggregates graphed, set for every graph with a key
+ * or for this one in its layout config.
+ *
+ * @returns {String}
+ * The statistic is returned, one of MetricsProvider.STATISTICS.
+ */
+BaseLineGraph.prototype.getStatistic = function () {
+  return this.metricsProvider.statistic || this.layoutConfig.statistic || "average";
+};
+
+// the max of the aggregates is overlaid once zoomed out, so averages don't hide spikes
+BaseLineGraph.prototype._hasMaxBand = function () {
+  return this.layoutConfig.maxBand !== false && this.getStatistic() !== "max"
+    && this.metricsProvider.zoomLevel > 0;
+};
+
+// metrics events carry averages, other statistics and the max band are
+// graphed from the aggregates kept by the metrics provider instead
+BaseLineGraph.prototype._isRefreshedOnMetrics = function () {
+  return this.getStatistic() !== "average" || this._hasMaxBand();
+};
+
+BaseLineGraph.prototype._onMetrics = function (data, discardEvent) {
+  if (!discardEvent && this._isRefreshedOnMetrics()) {
+    this.onRefreshMetrics();
+  } else {
+    this.onEvent(data, discardEvent);
+  }
+};
+
+BaseLineGraph.prototype._onCursor = function () {
+  this._updateLabel();
+
+  this.node.setData(this._getSeriesData());
+};
+
+/**
+ * Get the column of the graph the cursor is at.  A cursor further back in time
+ * than the graph is wide stays at its first column.
+ *
+ * @returns {Number}
+ * The index of the column is returned, undefined when there is no cursor.
+ */
+BaseLineGraph.prototype.getCursorIndex = function () {
+  var cursor = this.metricsProvider.cursor;
+
+  return cursor === undefined ? undefined : Math.max(this.limit - 1 - cursor, 0);
+};
+
+// alert rules name the view types they affect
+BaseLineGraph.prototype.isAlerted = function (alert) {
+  return _.includes(alert.rule.views, this.layoutConfig.type);
+};
+
+BaseLineGraph.prototype._updateBorderColor = function () {
+  var alerted = _.some(this.metricsProvider.getActiveAlerts(), this.isAlerted.bind(this));
+  this.node.style.border.fg = alerted ? ALERT_BORDER_COLOR : this.layoutConfig.borderColor;
+};
+
 BaseLineGraph.prototype._isHighwater = function (name) {
   return this.seriesOptions[name].highwater;
 };
@@ -76,13 +145,21 @@ BaseLineGraph.prototype.update = function (values) {
     }
   }.bind(this));
 
+  // wall clock labels move along with the data
+  if (this.metricsProvider.isWallClock()) {
+    var xAxis = this.metricsProvider.getXAxis(this.layoutConfig.limit);
+    _.each(this.series, function (series) {
+      series.x = xAxis;
+    });
+  }
+
   this._updateLabel();
 
-  this.node.setData(_.values(this.series));
+  this.node.setData(this._getSeriesData());
 };
 
 BaseLineGraph.prototype.refresh = function (mapper) {
-  var data = mapper(this.metricsProvider.getMetrics(this.limit));
+  var data = mapper(this.metricsProvider.getMetrics(this.limit, this.getStatistic()));
   var xAxis = this.metricsProvider.getXAxis(this.layoutConfig.limit);
 
   _.each(data[0], function (value, seriesName) {
@@ -109,13 +186,71 @@ BaseLineGraph.prototype.refresh = function (mapper) {
     }.bind(this));
   }.bind(this));
 
+  this.band = this._hasMaxBand() ? this._getMaxBand(mapper) : null;
+
   this._updateLabel();
 
-  this.node.setData(_.values(this.series));
+  this.node.setData(this._getSeriesData());
+};
+
+BaseLineGraph.prototype._getMaxBand = function (mapper) {
+  var rows = mapper(this.metricsProvider.getMetrics(this.limit, "max"));
+  var padding = _.times(this.limit, _.constant(0));
+
+  return _.reduce(this.series, function (prev, series, seriesName) {
+    if (!this._isHighwater(seriesName)) {
+      prev.push({
+        x: series.x,
+        y: _.takeRight(padding.concat(_.map(rows, seriesName)), this.limit),
+        style: {
+          line: MAX_BAND_COLOR
+        }
+      });
+    }
+
+    return prev;
+  }.bind(this), []);
+};
+
+// a spike as high as the graph at the columns marked
+BaseLineGraph.prototype._getMarkerSeries = function (markers, height, color) {
+  return {
+    x: _.values(this.series)[0].x,
+    y: _.times(this.limit - markers.length, _.constant(0)).concat(_.map(markers, function (marker) {
+      return marker ? height : 0;
+    })),
+    style: {
+      line: color
+    }
+  };
+};
+
+// restarts of the app and the cursor are marked with a spike as high as the
+// graph, and the max band is drawn first so the series are drawn over it
+BaseLineGraph.prototype._getSeriesData = function () {
+  var series = (this.band || []).concat(_.values(this.series));
+  var markers = this.metricsProvider.getRestartMarkers(this.limit);
+  var cursorIndex = this.getCursorIndex();
+  var height = _.max(_.flatMap(series, "y")) || 1;
+
+  if (_.some(markers)) {
+    series = series.concat(this._getMarkerSeries(markers, height, RESTART_MARKER_COLOR));
+  }
+
+  if (cursorIndex !== undefined) {
+    series = series.concat(this._getMarkerSeries(
+      _.times(this.limit, function (index) { return index === cursorIndex; }),
+      height,
+      CURSOR_COLOR
+    ));
+  }
+
+  return series;
 };
 
 BaseLineGraph.prototype._updateLabel = function () {
-  // use view label + series labels/data
+  // use view label + series labels/data, at the cursor when there is one
+  var cursorIndex = this.getCursorIndex();
 
   var seriesLabels = _.map(this.series, function (series, id) {
     var seriesLabel = "";
@@ -124,10 +259,19 @@ BaseLineGraph.prototype._updateLabel = function () {
     } else if (!this.seriesOptions[id].hasOwnProperty("label")) {
       seriesLabel = id + " ";
     }
-    return util.format("%s(%d%s)", seriesLabel, _.last(this.series[id].y), this.unit);
+    var unit = this.seriesOptions[id].unit === undefined ? this.unit : this.seriesOptions[id].unit;
+    var value = cursorIndex === undefined ? _.last(series.y) : series.y[cursorIndex];
+    return util.format("%s(%d%s)", seriesLabel, value, unit);
   }.bind(this)).join(", ");
-
-  this.node.setLabel(util.format("%s%s ", this.label, seriesLabels));
+  var statistic = this.getStatistic();
+
+  this.node.setLabel(util.format(
+    "%s%s%s%s ",
+    this.label,
+    statistic === "average" ? "" : "[" + statistic + "] ",
+    seriesLabels,
+    cursorIndex === undefined ? "" : " at " + _.values(this.series)[0].x[cursorIndex]
+  ));
 };
 
 BaseLineGraph.prototype._createGraph = function (options) {
@@ -145,10 +289,17 @@ BaseLineGraph.prototype._createGraph = function (options) {
     }
   });
 
+  this._updateBorderColor();
+
   this.recalculatePosition();
 
   this.parent.append(this.node);
 
+  if (this._isRefreshedOnMetrics()) {
+    this.onRefreshMetrics();
+    return;
+  }
+
   var values = this.metricsProvider.getMetrics(this.limit);
   _.each(values, function (value) {
     this.onEvent(value);
@@ -160,9 +311,13 @@ BaseLineGraph.prototype.destroy = function () {
 
   this.metricsProvider.removeListener("metrics", this._boundOnEvent);
   this.metricsProvider.removeListener("refreshMetrics", this._boundOnRefreshMetrics);
+  this.metricsProvider.removeListener("alert", this._boundOnAlert);
+  this.metricsProvider.removeListener("cursor", this._boundOnCursor);
 
   this._boundOnEvent = null;
   this._boundOnRefreshMetrics = null;
+  this._boundOnAlert = null;
+  this._boundOnCursor = null;
   this.metricsProvider = null;
 };
 
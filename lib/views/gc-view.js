@@ -0,0 +1,49 @@
+"use strict";
+
+var _ = require("lodash");
+var BaseLineGraph = require("./base-line-graph");
+
+// agents running on versions of node without perf_hooks do not report gc
+var getPause = function (data) {
+  return data.gc ? +data.gc.pause.toFixed(1) : 0;
+};
+
+var GcView = function GcView(options) {
+  BaseLineGraph.call(this, _.merge({
+    unit: "ms",
+    series: {
+      pause: {}
+    }
+  }, options));
+};
+
+GcView.prototype = Object.create(BaseLineGraph.prototype);
+
+GcView.prototype.getDefaultLayoutConfig = function () {
+  return {
+    borderColor: "cyan",
+    title: "garbage collection",
+    limit: 30
+  };
+};
+
+// discardEvent is needed so that the memory guage view can be
+// updated real-time while some graphs are aggregate data
+GcView.prototype.onEvent = function (data, discardEvent) {
+  if (discardEvent) {
+    return;
+  }
+  this.update({ pause: getPause(data) });
+};
+
+GcView.prototype.onRefreshMetrics = function () {
+  var mapper = function mapper(rows) {
+    return _.map(rows, function (row) {
+      return { pause: getPause(row) };
+    });
+  };
+
+  this.refresh(mapper);
+};
+
+module.exports = GcView;
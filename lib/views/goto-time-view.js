@@ -276,6 +276,14 @@ GotoTimeView.prototype.isVisible = function () {
 GotoTimeView.prototype.getTimeRange = function () {
   var timeRange = this.metricsProvider.getAvailableTimeRange();
 
+  // on the wall clock, the oldest time comes first
+  if (this.metricsProvider.isWallClock()) {
+    return {
+      min: timeRange.maxTime.label,
+      max: timeRange.minTime.label
+    };
+  }
+
   return {
     min: timeRange.minTime.label,
     max: timeRange.maxTime.label
@@ -0,0 +1,124 @@
+"use strict";
+
+var assert = require("assert");
+var _ = require("lodash");
+var BaseLineGraph = require("./base-line-graph");
+var expression = require("../expression");
+
+/**
+ * Build the functions that read the value of each configured series from
+ * metric data.
+ *
+ * @param {Object[]} seriesConfig
+ * The series from the layout config, each with a metric path or an expression.
+ *
+ * @returns {Object}
+ * The value functions keyed by series id are returned.
+ */
+var getValueReaders = function (seriesConfig) {
+  return _.reduce(seriesConfig, function (prev, config, index) {
+    var read = config.expression
+      ? expression.compile(config.expression)
+      : expression.getMetric(config.path);
+    var scale = config.scale === undefined ? 1 : config.scale;
+
+    prev[index] = function (data) {
+      return +(read(data) * scale).toFixed(1);
+    };
+
+    return prev;
+  }, {});
+};
+
+var GraphView = function GraphView(options) {
+  var view = options.layoutConfig.view || {};
+
+  assert(!_.isEmpty(view.series), "GraphView requires series");
+
+  this.readers = getValueReaders(view.series);
+
+  // the values of the highwater series in the rows displayed, newest last
+  this.highwaterValues = {};
+
+  BaseLineGraph.call(this, _.merge({
+    unit: view.unit,
+    maxY: view.maxY,
+    series: _.reduce(view.series, function (prev, config, index) {
+      prev[index] = {
+        label: config.label === undefined ? config.path || config.expression : config.label,
+        color: config.color,
+        unit: config.unit,
+        highwater: config.highwater
+      };
+
+      return prev;
+    }, {})
+  }, options));
+};
+
+GraphView.prototype = Object.create(BaseLineGraph.prototype);
+
+GraphView.prototype.getDefaultLayoutConfig = function () {
+  return {
+    borderColor: "cyan",
+    title: "graph",
+    limit: 30
+  };
+};
+
+// alerts also affect the graphs of the metrics they watch
+GraphView.prototype.isAlerted = function (alert) {
+  return BaseLineGraph.prototype.isAlerted.call(this, alert)
+    || _.some(this.layoutConfig.series, { path: alert.rule.metric });
+};
+
+GraphView.prototype.getValues = function (data) {
+  return _.mapValues(this.readers, function (read) {
+    return read(data);
+  });
+};
+
+// discardEvent is needed so that the memory guage view can be
+// updated real-time while some graphs are aggregate data
+GraphView.prototype.onEvent = function (data, discardEvent) {
+  if (discardEvent) {
+    return;
+  }
+
+  var values = this.getValues(data);
+
+  // highwater series show the highest value of the rows displayed, as when refreshed
+  _.each(this.seriesOptions, function (seriesOptions, id) {
+    if (seriesOptions.highwater) {
+      this.highwaterValues[id] =
+        _.takeRight((this.highwaterValues[id] || []).concat(values[id]), this.limit);
+      values[id] = _.max(this.highwaterValues[id]);
+    }
+  }.bind(this));
+
+  this.update(values);
+};
+
+GraphView.prototype.onRefreshMetrics = function () {
+  var mapper = function mapper(rows) {
+    var values = _.map(rows, this.getValues.bind(this));
+
+    // highwater series show the highest value of the rows displayed
+    _.each(this.seriesOptions, function (seriesOptions, id) {
+      if (seriesOptions.highwater) {
+        this.highwaterValues[id] = _.map(values, id);
+
+        var high = _.max(this.highwaterValues[id]) || 0;
+        _.each(values, function (value) {
+          value[id] = high;
+        });
+      }
+    }.bind(this));
+
+    return values;
+  }.bind(this);
+
+  this.refresh(mapper);
+};
+
+module.exports = GraphView;
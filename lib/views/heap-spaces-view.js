@@ -0,0 +1,70 @@
+"use strict";
+
+var _ = require("lodash");
+var BaseLineGraph = require("./base-line-graph");
+
+var BYTES_PER_MEGABYTE = 1048576;
+var HEAP_SPACES = [
+  "newSpace",
+  "oldSpace",
+  "codeSpace",
+  "largeObjectSpace",
+  "external",
+  "arrayBuffers"
+];
+
+// agents running on versions of node without heap space statistics report nothing
+var getHeapSpaces = function (data) {
+  var heap = _.clone(data.heap || {});
+
+  // external memory includes array buffers, graphed on their own
+  heap.external = Math.max((heap.external || 0) - (heap.arrayBuffers || 0), 0);
+
+  return _.reduce(HEAP_SPACES, function (prev, space) {
+    prev[space] = +((heap[space] || 0) / BYTES_PER_MEGABYTE).toFixed(1);
+    return prev;
+  }, {});
+};
+
+var HeapSpacesView = function HeapSpacesView(options) {
+  BaseLineGraph.call(this, _.merge({
+    unit: "MB",
+    series: {
+      newSpace: { label: "new", color: "green" },
+      oldSpace: { label: "old", color: "yellow" },
+      codeSpace: { label: "code", color: "magenta" },
+      largeObjectSpace: { label: "large", color: "blue" },
+      external: { label: "other external", color: "cyan" },
+      arrayBuffers: { label: "buffers", color: "red" }
+    }
+  }, options));
+};
+
+HeapSpacesView.prototype = Object.create(BaseLineGraph.prototype);
+
+HeapSpacesView.prototype.getDefaultLayoutConfig = function () {
+  return {
+    borderColor: "cyan",
+    title: "heap spaces",
+    limit: 30
+  };
+};
+
+// discardEvent is needed so that the memory guage view can be
+// updated real-time while some graphs are aggregate data
+HeapSpacesView.prototype.onEvent = function (data, discardEvent) {
+  if (discardEvent) {
+    return;
+  }
+  this.update(getHeapSpaces(data));
+};
+
+HeapSpacesView.prototype.onRefreshMetrics = function () {
+  var mapper = function mapper(rows) {
+    return _.map(rows, getHeapSpaces);
+  };
+
+  this.refresh(mapper);
+};
+
+module.exports = HeapSpacesView;
@@ -12,7 +12,17 @@ var HelpView = function HelpView(options) {
     "{cyan-fg}        w, s{/}  increase / decrease graph units of time",
     "{cyan-fg}        a, d{/}  scroll left / right graphs",
     "{cyan-fg}        z, x{/}  go to begin / end graphs",
+    "{cyan-fg}           t{/}  cycle average / min / max / percentile graphs",
+    "{cyan-fg}           c{/}  toggle cursor, move it with left / right",
     "{cyan-fg}           g{/}  go to user-defined time graph index...",
+    "{cyan-fg}           e{/}  expand / collapse JSON log entries",
+    "{cyan-fg}           i{/}  send lines to app stdin, up / down history",
+    "{cyan-fg}         tab{/}  focus next log view, then:",
+    "{cyan-fg}           /{/}  search log, n / N next / previous match",
+    "{cyan-fg}           f{/}  show only lines matching the search",
+    "{cyan-fg}           t{/}  show / hide log timestamps",
+    "{cyan-fg}       enter{/}  expand / fold stack traces",
+    "{cyan-fg}         esc{/}  clear search / leave log view",
     "{cyan-fg}         esc{/}  close popup window / return to default layout",
     "{cyan-fg}        h, ?{/}  toggle this window",
     "{cyan-fg}   ctrl-c, q{/}  quit",
@@ -26,7 +36,7 @@ var HelpView = function HelpView(options) {
       left: "center",
       // using fixed numbers to support use of alignment tags
       width: 64,
-      height: 14
+      height: 24
     },
     border: "line",
     padding: {
@@ -2,10 +2,15 @@
 
 var _ = require("lodash");
 var StreamView = require("./stream-view");
+var AlertsView = require("./alerts-view");
 var EventLoopView = require("./eventloop-view");
 var MemoryGaugeView = require("./memory-gauge-view");
 var MemoryGraphView = require("./memory-graph-view");
 var CpuView = require("./cpu-view");
+var GcView = require("./gc-view");
+var GraphView = require("./graph-view");
+var HeapSpacesView = require("./heap-spaces-view");
+var LogRateView = require("./log-rate-view");
 var BaseView = require("./base-view");
 var CpuDetailsView = require("./cpu-details-view");
 var EnvDetailsView = require("./env-details-view");
@@ -25,6 +30,11 @@ var VIEW_MAP = {
   memory: MemoryGaugeView,
   memoryGraph: MemoryGraphView,
   eventLoop: EventLoopView,
+  gc: GcView,
+  graph: GraphView,
+  heapSpaces: HeapSpacesView,
+  logRate: LogRateView,
+  alerts: AlertsView,
   panel: Panel
 };
 
@@ -0,0 +1,175 @@
+"use strict";
+
+var blessed = require("blessed");
+var _ = require("lodash");
+
+var PROMPT = " stdin> ";
+var PROMPT_COLOR = "cyan";
+var MAX_HISTORY = 100;
+var NOT_SENT = "line not sent";
+var NOT_SENT_COLOR = "red";
+
+/**
+ * This is the constructor for the Input View, a prompt over the status line
+ * sending the lines typed to the stdin of the app, until it is closed with
+ * escape.  Lines sent before can be typed again with up and down.
+ *
+ * @param {Object} options
+ * Options that may be specified, sendInput writes to the stdin of the app,
+ * and returns whether it could, getInputError tells why it couldn't (ex: the
+ * app is not running).
+ *
+ * @returns {void}
+ */
+var InputView = function InputView(options) {
+  this.screen = options.parent.screen;
+  this.sendInput = options.sendInput;
+  this.getInputError = options.getInputError || _.constant(null);
+  this.history = [];
+  this.historyIndex = 0;
+
+  this.node = blessed.box({
+    position: {
+      bottom: 0,
+      left: 0,
+      width: "100%",
+      height: 1
+    },
+    content: PROMPT,
+    style: {
+      fg: PROMPT_COLOR
+    },
+    hidden: true
+  });
+
+  this.textBox = blessed.textbox({
+    parent: this.node,
+    top: 0,
+    left: PROMPT.length,
+    width: "100%-" + PROMPT.length,
+    height: 1
+  });
+
+  // shown over the end of the prompt until a line is sent
+  this.notSent = blessed.box({
+    parent: this.node,
+    top: 0,
+    right: 0,
+    width: 1,
+    height: 1,
+    style: {
+      fg: "white",
+      bg: NOT_SENT_COLOR
+    },
+    hidden: true
+  });
+
+  // the textbox ignores up and down while reading, so they can browse the history
+  this.textBox.key(["up", "down"], function (ch, key) {
+    this.browseHistory(key.name === "up" ? -1 : 1);
+    this.screen.render();
+  }.bind(this));
+
+  this.screen.append(this.node);
+};
+
+/**
+ * Show the prompt and read lines until it is closed.  There is nothing to
+ * send input to without an app launched by the dashboard.
+ *
+ * @returns {void}
+ */
+InputView.prototype.open = function () {
+  if (!this.sendInput || this.isVisible()) {
+    return;
+  }
+
+  this.node.show();
+  this.node.setFront();
+  this._readLine();
+};
+
+InputView.prototype._readLine = function (unsent) {
+  this.historyIndex = this.history.length;
+  this.textBox.setValue(unsent || "");
+  this.screen.render();
+
+  this.textBox.readInput(function (err, value) {
+    // the prompt is closed with escape, or when it loses focus
+    if (err || value === null || value === undefined) {
+      this.node.hide();
+      this.screen.render();
+      return;
+    }
+
+    // lines that could not be sent are kept, to be sent again with enter
+    this._readLine(this.send(value) ? "" : value);
+  }.bind(this));
+};
+
+/**
+ * Send a line to the stdin of the app, and add it to the history.  The
+ * prompt tells why it could not be sent instead (ex: the app is not running).
+ *
+ * @param {String} line
+ * The line to send, without its new line.
+ *
+ * @returns {Boolean}
+ * True if the line was sent, false otherwise.
+ */
+InputView.prototype.send = function (line) {
+  if (!this.sendInput(line + "\n")) {
+    this._showNotSent(this.getInputError());
+    return false;
+  }
+
+  if (this.notSent.visible) {
+    this.notSent.hide();
+  }
+
+  // empty lines (ex: to continue in a REPL) and repeats are not worth browsing
+  if (line && line !== _.last(this.history)) {
+    this.history = _.takeRight(this.history.concat(line), MAX_HISTORY);
+  }
+
+  return true;
+};
+
+InputView.prototype._showNotSent = function (reason) {
+  var text = " " + _.compact([reason, NOT_SENT]).join(", ") + " ";
+
+  this.notSent.setContent(text);
+  this.notSent.width = text.length;
+  this.notSent.show();
+};
+
+/**
+ * Show a line of the history in the prompt, an empty line past the newest.
+ *
+ * @param {Number} delta
+ * -1 for the previous line, 1 for the next one.
+ *
+ * @returns {void}
+ */
+InputView.prototype.browseHistory = function (delta) {
+  var index = _.clamp(this.historyIndex + delta, 0, this.history.length);
+
+  if (index === this.historyIndex) {
+    return;
+  }
+
+  this.historyIndex = index;
+  this.textBox.setValue(index < this.history.length ? this.history[index] : "");
+};
+
+/**
+ * Check to see if the view is visible.
+ *
+ * @returns {Boolean}
+ * Truthy if the view is visible, falsey otherwise.
+ */
+InputView.prototype.isVisible = function () {
+  return this.node.visible;
+};
+
+module.exports = InputView;
@@ -0,0 +1,64 @@
+"use strict";
+
+var _ = require("lodash");
+var BaseLineGraph = require("./base-line-graph");
+
+var MATCH_COLORS = ["yellow", "magenta", "cyan", "blue", "white"];
+
+// metrics received without a log provider have no log metrics
+var getLogRates = function (matchNames, data) {
+  var log = data.log || {};
+
+  return _.reduce(matchNames, function (prev, name) {
+    prev[name] = _.get(log, ["matches", name]) || 0;
+    return prev;
+  }, {
+    stdout: log.stdout || 0,
+    stderr: log.stderr || 0
+  });
+};
+
+var LogRateView = function LogRateView(options) {
+  // a line is plotted for each of the log matches counted
+  this.matchNames = _.keys(options.logProvider && options.logProvider.matches);
+
+  BaseLineGraph.call(this, _.merge({
+    unit: "/s",
+    series: _.reduce(this.matchNames, function (prev, name, index) {
+      prev[name] = { color: MATCH_COLORS[index % MATCH_COLORS.length] };
+      return prev;
+    }, {
+      stdout: { color: "green" },
+      stderr: { color: "red" }
+    })
+  }, options));
+};
+
+LogRateView.prototype = Object.create(BaseLineGraph.prototype);
+
+LogRateView.prototype.getDefaultLayoutConfig = function () {
+  return {
+    borderColor: "cyan",
+    title: "log lines",
+    limit: 30
+  };
+};
+
+// discardEvent is needed so that the memory guage view can be
+// updated real-time while some graphs are aggregate data
+LogRateView.prototype.onEvent = function (data, discardEvent) {
+  if (discardEvent) {
+    return;
+  }
+  this.update(getLogRates(this.matchNames, data));
+};
+
+LogRateView.prototype.onRefreshMetrics = function () {
+  var mapper = function mapper(rows) {
+    return _.map(rows, _.partial(getLogRates, this.matchNames));
+  }.bind(this);
+
+  this.refresh(mapper);
+};
+
+module.exports = LogRateView;
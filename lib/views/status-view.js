@@ -0,0 +1,61 @@
+"use strict";
+
+var blessed = require("blessed");
+
+var AppProcess = require("../app-process");
+
+/**
+ * This is the constructor for the Status View, a line at the bottom of the
+ * screen showing whether the app is running, or how it exited.
+ *
+ * @param {Object} options
+ * Options that may be specified.
+ *
+ * @returns {void}
+ */
+var StatusView = function StatusView(options) {
+  this.screen = options.parent.screen;
+  this.exits = 0;
+
+  this.node = blessed.box({
+    position: {
+      bottom: 0,
+      left: 0,
+      width: "100%",
+      height: 1
+    },
+    tags: true
+  });
+
+  this._boundOnApp = this.onApp.bind(this);
+  this.screen.on("app", this._boundOnApp);
+
+  this.screen.append(this.node);
+};
+
+/**
+ * Show the latest event of the app.
+ *
+ * @param {Object} data
+ * The app event received.
+ *
+ * @param {Number} [time]
+ * The time the event was received, defaults to now.
+ *
+ * @returns {void}
+ */
+StatusView.prototype.onApp = function (data, time) {
+  var description = AppProcess.describe(data, time || Date.now());
+
+  if (data.event === "start") {
+    this.node.setContent(" {green-fg}running{/}  " + description);
+  } else {
+    this.exits++;
+    this.node.setContent(" {red-fg}stopped{/}  " + description
+      + (this.exits > 1 ? " (" + this.exits + " exits)" : ""));
+  }
+
+  this.screen.render();
+};
+
+module.exports = StatusView;
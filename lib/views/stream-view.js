@@ -6,9 +6,122 @@ var util = require("util");
 var _ = require("lodash");
 
 var BaseView = require("./base-view");
+var ansi = require("../ansi");
+var jsonLog = require("../json-log");
+var time = require("../time");
 
 var MAX_OBJECT_LOG_DEPTH = 20;
 
+// the columns taken by the border and scrollbar
+var FRAME_WIDTH = 3;
+
+var SEARCH_COLOR = "yellow";
+var FOCUS_BORDER_COLOR = "cyan";
+var TIMESTAMP_COLOR = "grey";
+var FOLD_COLOR = "cyan";
+var REPEAT_COLOR = "yellow";
+
+// the frames of a stack trace (ex: "    at main (app.js:1:1)")
+var STACK_FRAME = /^\s+at\s/;
+
+// blessed tags (ex: {red-fg}), escaped braces being {open} and {close}
+var TAG_PATTERN = /(\{\/?[\w\-,;!#]*\})/;
+var TAG = /^\{\/?[\w\-,;!#]*\}$/;
+var ESCAPED_BRACES = { "{open}": "{", "{close}": "}" };
+
+// the text of a line as shown, without its tags
+var getText = function (line) {
+  return _.map(line.split(TAG_PATTERN), function (part) {
+    return TAG.test(part) ? ESCAPED_BRACES[part] || "" : part;
+  }).join("");
+};
+
+// searches are case insensitive regular expressions, or plain text when invalid
+var createSearchRegex = function (source) {
+  try {
+    return new RegExp(source, "i");
+  } catch (err) {
+    return new RegExp(_.escapeRegExp(source), "i");
+  }
+};
+
+// highlight the matches of a search outside of the tags of a line
+var highlight = function (line, regex) {
+  var matches = new RegExp(regex.source, "gi");
+
+  return _.map(line.split(TAG_PATTERN), function (part) {
+    return TAG.test(part) ? part : part.replace(matches, function (match) {
+      return match && "{inverse}" + match + "{/inverse}";
+    });
+  }).join("");
+};
+
+// lines logged together (ex: a chunk of output) share the time they arrived
+var getLineTimes = function (lines, logTime) {
+  var viewLines = _.flatMap(lines, function (line) { return line.split("\n"); });
+
+  return _.map(viewLines, _.constant(logTime));
+};
+
+var colorText = function (color, text) {
+  return "{" + color + "-fg}" + text + "{/" + color + "-fg}";
+};
+
+var formatTimestamp = function (logTime, line) {
+  return colorText(TIMESTAMP_COLOR, time.getClockTime(logTime)) + " " + line;
+};
+
+// a folded stack trace shows how many frames it hides, and how many times it was logged
+var formatEntrySuffix = function (entry, folded) {
+  var frames = entry.lines.length - 1;
+  var suffix = folded ? " " + colorText(FOLD_COLOR, "[+" + frames + " frames]") : "";
+
+  if (entry.count > 1) {
+    suffix += " " + colorText(REPEAT_COLOR, "(x" + entry.count + ")");
+  }
+
+  return suffix;
+};
+
+var isRepeat = function (entry, previous) {
+  return entry.lines.length > 1 && _.isEqual(entry.lines, previous.lines);
+};
+
+// group lines into entries of the view, the frames of a stack trace being added to the
+// line before them (ex: the error message).  Entries shown are replaced rather than changed,
+// a trace that is continued or repeated being moved to the end, with the count of its repeats.
+var addLines = function (entries, lines, logTime) {
+  var closeEntry = function () {
+    var entry = entries.pop();
+    var index = entry && entry.lines.length > 1
+      ? _.findLastIndex(entries, _.partial(isRepeat, entry))
+      : -1;
+
+    if (index !== -1) {
+      entry = _.assign({}, entry, { count: entries[index].count + entry.count });
+      entries.splice(index, 1);
+    }
+
+    if (entry) {
+      entries.push(entry);
+    }
+  };
+
+  _.each(lines, function (line) {
+    var entry = _.last(entries);
+
+    if (entry && !entry.marker && STACK_FRAME.test(line)) {
+      entries.splice(-1, 1, _.assign({}, entry, { lines: entry.lines.concat(line) }));
+    } else {
+      closeEntry();
+      entries.push({ lines: [line], time: logTime, count: 1 });
+    }
+  });
+  closeEntry();
+
+  return entries;
+};
+
 // reapply scroll method override from Log
 // https://github.com/chjj/blessed/blob/master/lib/widgets/log.js#L69
 // which is broken by workaround in Element
@@ -33,6 +146,25 @@ var fixLogScroll = function (log) {
 };
 
 var StreamView = function StreamView(options) {
+  var setupEventHandlers = function setupEventHandlers() {
+    this._boundLog = this.log.bind(this);
+    _.each(this.layoutConfig.streams, function (eventName) {
+      this.logProvider.on(eventName, this._boundLog);
+    }.bind(this));
+
+    this._boundMarker = this.marker.bind(this);
+    this.logProvider.on("marker", this._boundMarker);
+
+    this._boundRefresh = this.refresh.bind(this);
+    this.logProvider.on("refreshLog", this._boundRefresh);
+
+    // the logs follow the graphs when they are scrolled or have a cursor
+    if (this.metricsProvider) {
+      this._boundTimeWindow = this.showTimeWindow.bind(this);
+      this.metricsProvider.on("timeWindow", this._boundTimeWindow);
+    }
+  }.bind(this);
+
   BaseView.call(this, options);
 
   assert(options.logProvider, "StreamView requires logProvider");
@@ -46,26 +178,27 @@ var StreamView = function StreamView(options) {
   }
 
   this.logProvider = options.logProvider;
+  this.logProvider.setLimit(this.layoutConfig.scrollback);
+  this.metricsProvider = options.metricsProvider;
+  this.showTimestamps = !!this.layoutConfig.timestamps;
 
   this._createView(options);
 
-  var content = options.logProvider.getLog(this.layoutConfig.streams, options.scrollback);
+  this._loadLog();
 
-  if (content.length > 0) {
-    this.log(content);
-  }
-
-  this._boundLog = this.log.bind(this);
-  _.each(this.layoutConfig.streams, function (eventName) {
-    this.logProvider.on(eventName, this._boundLog);
-  }.bind(this));
+  setupEventHandlers();
 };
 
 StreamView.prototype = Object.create(BaseView.prototype);
 
 StreamView.prototype._createView = function () {
+  this.label = util.format(
+    " %s ",
+    this.layoutConfig.title || this.layoutConfig.streams.join(" / ")
+  );
+
   this.node = blessed.log({
-    label: util.format(" %s ", this.layoutConfig.title || this.layoutConfig.streams.join(" / ")),
+    label: this.label,
 
     scrollable: true,
     alwaysScroll: true,
@@ -86,17 +219,333 @@ StreamView.prototype._createView = function () {
       bg: this.layoutConfig.bgColor,
       border: {
         fg: this.layoutConfig.borderColor
+      },
+      focus: {
+        border: {
+          fg: FOCUS_BORDER_COLOR
+        }
       }
     }
   });
 
+  // the search prompt stays on the last line while the log scrolls
+  this.searchBox = blessed.textbox({
+    parent: this.node,
+    fixed: true,
+    bottom: 0,
+    left: 0,
+    height: 1,
+    width: "100%-1",
+    hidden: true,
+    style: {
+      fg: "black",
+      bg: SEARCH_COLOR
+    }
+  });
+
   fixLogScroll(this.node);
+  this._configureKeys();
 
   this.recalculatePosition();
 
   this.parent.append(this.node);
 };
 
+// once focused (ex: with tab or a click), the log can be searched
+StreamView.prototype._configureKeys = function () {
+  this.node.key("/", this.openSearch.bind(this));
+
+  this.node.key(["n", "S-n"], function (ch, key) {
+    this.jumpToMatch(key.shift ? -1 : 1);
+    this.node.screen.render();
+  }.bind(this));
+
+  this.node.key("f", function () {
+    this.toggleFilter();
+    this.node.screen.render();
+  }.bind(this));
+
+  this.node.key("escape", function () {
+    if (this.searchRegex) {
+      this.setSearch("");
+    } else {
+      this.node.screen.rewindFocus();
+    }
+    this.node.screen.render();
+  }.bind(this));
+
+  this.node.key("t", function () {
+    this.showTimestamps = !this.showTimestamps;
+    this.reload();
+    this.node.screen.render();
+  }.bind(this));
+
+  this.node.key("enter", function () {
+    this.toggleTraces();
+    this.node.screen.render();
+  }.bind(this));
+
+  this.node.key("tab", function () {
+    this.node.screen.focusNext();
+    this.node.screen.render();
+  }.bind(this));
+};
+
+/**
+ * Prompt for a search of the log, on its last line.
+ *
+ * @returns {void}
+ */
+StreamView.prototype.openSearch = function () {
+  this.searchBox.setValue(this.searchSource || "");
+  this.searchBox.show();
+  this.node.screen.render();
+
+  this.searchBox.readInput(function (err, value) {
+    this.searchBox.hide();
+    this.node.focus();
+
+    // the search is kept when the prompt is cancelled
+    if (!err && value !== null && value !== undefined) {
+      this.setSearch(value);
+    }
+    this.node.screen.render();
+  }.bind(this));
+};
+
+/**
+ * Search the log for matches of a regular expression (or of plain text when
+ * it is not valid), which are highlighted.  The whole log history is loaded
+ * again, to be searched or filtered, and the latest match is scrolled to.
+ * The view keeps it past its scrollback until the search is cleared.
+ *
+ * @param {String} source
+ * The search, or an empty string to clear it.
+ *
+ * @returns {void}
+ */
+StreamView.prototype.setSearch = function (source) {
+  this.searchSource = source;
+  this.searchRegex = source ? createSearchRegex(source) : undefined;
+  this.matchLine = undefined;
+
+  if (!this.searchRegex) {
+    this.searchFilter = false;
+  }
+
+  this.reload();
+
+  if (this.searchRegex) {
+    this.jumpToMatch(-1);
+  }
+};
+
+/**
+ * Toggle showing only the lines of the log matching the search.
+ *
+ * @returns {void}
+ */
+StreamView.prototype.toggleFilter = function () {
+  if (!this.searchRegex) {
+    return;
+  }
+
+  this.searchFilter = !this.searchFilter;
+  this.matchLine = undefined;
+  this.reload();
+};
+
+/**
+ * Toggle showing the frames of the stack traces folded in the log.
+ *
+ * @returns {void}
+ */
+StreamView.prototype.toggleTraces = function () {
+  this.expandTraces = !this.expandTraces;
+  this.reload();
+};
+
+/**
+ * Get the lines of the log shown that match the search.
+ *
+ * @returns {Number[]}
+ * The indexes of the lines are returned.
+ */
+StreamView.prototype.getMatches = function () {
+  var regex = this.searchRegex;
+
+  return _.reduce(this.node.getLines(), function (matches, line, index) {
+    return regex && regex.test(getText(line)) ? matches.concat(index) : matches;
+  }, []);
+};
+
+/**
+ * Scroll to the next or previous match of the search, wrapping around.
+ *
+ * @param {Number} direction
+ * 1 for the next match, -1 for the previous one.
+ *
+ * @returns {void}
+ */
+StreamView.prototype.jumpToMatch = function (direction) {
+  var matches = this.getMatches();
+  var current = this.matchLine;
+  var candidates = direction > 0
+    ? _.filter(matches, function (line) { return current === undefined || line > current; })
+    : _.filter(matches, function (line) { return current === undefined || line < current; });
+
+  if (matches.length === 0) {
+    this._updateLabel(0);
+    return;
+  }
+
+  this.matchLine = direction > 0
+    ? _.head(candidates.length ? candidates : matches)
+    : _.last(candidates.length ? candidates : matches);
+  this.node.scrollTo(this._getScrollIndex(this.matchLine));
+
+  this._updateLabel(matches.length, _.indexOf(matches, this.matchLine));
+};
+
+/**
+ * Scroll to the lines logged in a time window (ex: of the time slot the graphs
+ * are positioned at), or back to the newest lines.  A window older than the
+ * lines of the view is loaded from the log history, with the lines after it.
+ *
+ * @param {Object} timeWindow
+ * The start (inclusive) and end (exclusive) timestamps, or null to follow the
+ * newest lines again.
+ *
+ * @returns {void}
+ */
+StreamView.prototype.showTimeWindow = function (timeWindow) {
+  var first;
+  var last;
+
+  this.timeWindowLabel = "";
+
+  if (!timeWindow) {
+    this._followNewestLines();
+    return;
+  }
+
+  this._loadTimeWindow(timeWindow);
+
+  // lines are logged in time order
+  first = _.sortedIndex(this.lineTimes, timeWindow.start);
+  last = _.sortedIndex(this.lineTimes, timeWindow.end) - 1;
+
+  // show the whole window when it fits, its first line otherwise
+  this.node.scrollTo(this._getScrollIndex(Math.max(last, first)));
+  this.node.scrollTo(this._getScrollIndex(first));
+
+  this.timeWindowLabel = util.format(
+    "@ %s +%s (%s) ",
+    time.getClockTime(timeWindow.start),
+    time.formatDuration(timeWindow.end - timeWindow.start),
+    last - first === 0 ? "1 line" : last - first + 1 + " lines"
+  );
+  this._renderLabel();
+};
+
+StreamView.prototype._followNewestLines = function () {
+  // the newest lines are loaded again after older ones were shown
+  if (this.logRange) {
+    this.logRange = undefined;
+    this.reload();
+  }
+
+  this.node.scrollTo(this.node.getScrollHeight());
+  this._renderLabel();
+};
+
+StreamView.prototype._loadTimeWindow = function (timeWindow) {
+  var windowLines;
+
+  if (this.logRange && this.logRange.start <= timeWindow.start) {
+    return;
+  }
+
+  windowLines = this.logProvider.getLines(this.layoutConfig.streams, {
+    start: timeWindow.start,
+    end: timeWindow.end
+  });
+
+  // the window is shown by the view unless it starts before the lines of the view
+  if (windowLines.length && !(_.head(windowLines).time >= _.head(this.lineTimes))) {
+    this.logRange = { start: timeWindow.start };
+    this.matchLine = undefined;
+    this.reload();
+  }
+};
+
+// lines may be wrapped, scrolling is by wrapped line
+StreamView.prototype._getScrollIndex = function (lineIndex) {
+  return _.get(this.node, ["_clines", "ftor", lineIndex, 0], lineIndex);
+};
+
+// the label shows the search, and the match scrolled to
+StreamView.prototype._updateLabel = function (matchCount, matchIndex) {
+  var matches = matchCount ? matchCount + " matches" : "no matches";
+
+  this.searchLabel = "";
+
+  if (this.searchRegex) {
+    this.searchLabel = util.format(
+      "/%s (%s) %s",
+      this.searchSource,
+      matchIndex >= 0 ? matchIndex + 1 + " of " + matchCount : matches,
+      this.searchFilter ? "[filtered] " : ""
+    );
+  }
+
+  this._renderLabel();
+};
+
+StreamView.prototype._renderLabel = function () {
+  this.node.setLabel(this.label + (this.searchLabel || "") + (this.timeWindowLabel || ""));
+};
+
+// load the whole log history again (ex: to search it)
+StreamView.prototype.reload = function () {
+  this.node.setContent("");
+  this._loadLog();
+  this._updateLabel(this.searchRegex ? this.getMatches().length : 0, -1);
+};
+
+// searches, and time windows older than the scrollback, need more than the newest lines
+StreamView.prototype._loadLog = function () {
+  var logLines = this.logProvider.getLines(
+    this.layoutConfig.streams,
+    this.logRange || (this.searchRegex ? {} : { limit: this.layoutConfig.scrollback })
+  );
+
+  // the time each line of the view was logged at, and the entries they show
+  this.lineTimes = [];
+  this.entries = [];
+
+  // every line loaded is kept, the oldest being dropped as new lines are logged
+  this.node.scrollback = Infinity;
+  this._appendEntries(_.reduce(logLines, function (entries, logLine) {
+    if (logLine.source === "marker") {
+      entries.push({ lines: [logLine.text], time: logLine.time, count: 1, marker: true });
+      return entries;
+    }
+
+    return addLines(entries, this._filterLines(logLine.text), logLine.time);
+  }.bind(this), []));
+  this.node.scrollback = Math.max(this.layoutConfig.scrollback, this.lineTimes.length);
+};
+
+// structured logs are formatted again (ex: expanded), other logs don't change
+StreamView.prototype.refresh = function () {
+  if (this.layoutConfig.format !== "json") {
+    return;
+  }
+
+  this.reload();
+};
+
 StreamView.prototype.getDefaultLayoutConfig = function () {
   return {
     borderColor: "#F0F0F0",
@@ -107,10 +556,81 @@ StreamView.prototype.getDefaultLayoutConfig = function () {
   };
 };
 
-StreamView.prototype.log = function (data) {
-  var lines = data.replace(/\n$/, "");
+StreamView.prototype.log = function (data, logTime) {
+  var lines = this._filterLines(data);
+  var entries;
+
+  if (lines.length === 0) {
+    return;
+  }
+
+  entries = addLines(this.entries.slice(), lines, logTime || Date.now());
+
+  // stack traces continued or repeated are shown again at the end of the log
+  this._removeEntries(_.difference(this.entries, entries));
+  this._appendEntries(_.difference(entries, this.entries));
+};
+
+StreamView.prototype._appendEntries = function (entries) {
+  var lines = [];
+  var lineTimes = [];
+  var lineCount;
+
+  _.each(entries, function (entry) {
+    var entryLines = this._formatEntry(entry);
+    var entryTimes = getLineTimes(entryLines, entry.time);
+
+    entry.lineCount = entryTimes.length;
+    lines = lines.concat(entryLines);
+    lineTimes = lineTimes.concat(entryTimes);
+  }.bind(this));
+
+  if (lines.length > 0) {
+    this._append(lines, lineTimes);
+  }
+
+  // entries are dropped with their lines (ex: past the scrollback)
+  this.entries = this.entries.concat(entries);
+  lineCount = _.sumBy(this.entries, "lineCount");
+
+  while (lineCount > this.lineTimes.length) {
+    lineCount -= this.entries.shift().lineCount;
+  }
+};
+
+// entries are removed from the last one, for the lines before them to keep their index
+StreamView.prototype._removeEntries = function (removed) {
+  var end = this.lineTimes.length;
+
+  if (removed.length === 0) {
+    return;
+  }
+
+  _.eachRight(this.entries, function (entry) {
+    var start = end - entry.lineCount;
+
+    if (entry.lineCount > 0 && _.includes(removed, entry)) {
+      this.node.deleteLine(start, entry.lineCount);
+      this.lineTimes.splice(start, entry.lineCount);
+    }
+    end = start;
+  }.bind(this));
+
+  this.entries = _.difference(this.entries, removed);
+};
+
+// the log is only kept up to the scrollback of the view
+StreamView.prototype._append = function (lines, lineTimes) {
+  this.node.log(lines.join("\n"));
+  this.lineTimes = _.takeRight(this.lineTimes.concat(lineTimes), this.node.scrollback);
+};
+
+// filter lines of output, and format structured logs
+StreamView.prototype._filterLines = function (data) {
+  var lines = data.replace(/\n$/, "").split("\n");
+
   if (this.excludeRegex || this.includeRegex) {
-    lines = lines.split("\n").reduce(function (arr, line) {
+    lines = lines.reduce(function (arr, line) {
       if (this.includeRegex && this.includeRegex.test(line)) {
         var match = line.match(this.includeRegex);
         arr.push(typeof match[1] === "undefined" ? line : match[1]);
@@ -121,15 +641,87 @@ StreamView.prototype.log = function (data) {
 
       return arr;
     }.bind(this), []);
+  }
+
+  if (this.layoutConfig.format === "json") {
+    lines = _.reject(_.map(lines, this.formatJsonLine.bind(this)), _.isNull);
+  }
+
+  return lines;
+};
 
-    if (lines.length === 0) {
-      return;
+// format the lines of an entry for display, a stack trace being folded to its first line
+StreamView.prototype._formatEntry = function (entry) {
+  var folded = !this.expandTraces && entry.lines.length > 1;
+  var lines;
+
+  if (entry.marker) {
+    return [this.formatMarker(_.head(entry.lines))];
+  }
+
+  lines = _.map(folded ? _.take(entry.lines, 1) : entry.lines, function (line) {
+    // colored output (ex: of test runners) keeps its colors
+    var tagged = ansi.toTags(line);
+
+    return this.showTimestamps ? formatTimestamp(entry.time, tagged) : tagged;
+  }.bind(this));
+
+  lines[0] += formatEntrySuffix(entry, folded);
+
+  return this.searchRegex ? this._searchLines(lines) : lines;
+};
+
+// highlight the matches of the search, and drop other lines when filtered
+StreamView.prototype._searchLines = function (lines) {
+  var regex = this.searchRegex;
+
+  return _.reduce(lines, function (arr, line) {
+    if (regex.test(getText(line))) {
+      arr.push(highlight(line, regex));
+    } else if (!this.searchFilter) {
+      arr.push(line);
     }
 
-    lines = lines.join("\n");
+    return arr;
+  }.bind(this), []);
+};
+
+/**
+ * Format a line of structured log, which falls back to the raw line when it
+ * is not JSON.
+ *
+ * @param {String} line
+ * The line to format.
+ *
+ * @returns {String}
+ * The formatted line is returned, null when it is below the minLevel of the
+ * layout config.
+ */
+StreamView.prototype.formatJsonLine = function (line) {
+  var record = jsonLog.parse(line);
+
+  if (!record) {
+    return line;
+  }
+
+  if (!jsonLog.isAtLevel(record, this.layoutConfig.minLevel)) {
+    return null;
   }
 
-  this.node.log(lines);
+  return jsonLog.format(record, {
+    fields: this.layoutConfig.fields,
+    expanded: this.logProvider.expanded
+  });
+};
+
+// markers (ex: app restarts) are not filtered
+StreamView.prototype.marker = function (data, logTime) {
+  this._appendEntries([{ lines: [data], time: logTime, count: 1, marker: true }]);
+};
+
+// markers are drawn as a separator line across the view
+StreamView.prototype.formatMarker = function (data) {
+  return "{yellow-fg}" + _.pad(" " + data + " ", this.node.width - FRAME_WIDTH, "\u2500") + "{/}";
 };
 
 StreamView.prototype.destroy = function () {
@@ -139,8 +731,19 @@ StreamView.prototype.destroy = function () {
     this.logProvider.removeListener(eventName, this._boundLog);
   }.bind(this));
 
+  this.logProvider.removeListener("marker", this._boundMarker);
+  this.logProvider.removeListener("refreshLog", this._boundRefresh);
+
+  if (this.metricsProvider) {
+    this.metricsProvider.removeListener("timeWindow", this._boundTimeWindow);
+  }
+
   this._boundLog = null;
+  this._boundMarker = null;
+  this._boundRefresh = null;
+  this._boundTimeWindow = null;
   this.logProvider = null;
+  this.metricsProvider = null;
 };
 
 // fix Log's log/add method, which calls shiftLine with two parameters (start, end)
@@ -0,0 +1,44 @@
+"use strict";
+
+var expect = require("chai").expect;
+var childProcess = require("child_process");
+var path = require("path");
+
+var BIN = path.resolve(__dirname, "../../bin/nodejs-dashboard.js");
+
+// starting node may be slow
+var TIMEOUT = 10000;
+
+describe("nodejs-dashboard", function () {
+
+  this.timeout(TIMEOUT); // eslint-disable-line no-invalid-this
+
+  // options are checked before listening for agents, so these exit right away
+  var expectError = function (args, message, done) {
+    childProcess.execFile(process.execPath, [BIN].concat(args), function (err, stdout, stderr) {
+      try {
+        expect(err).to.have.property("code", 1);
+        expect(stderr).to.contain(message);
+        done();
+      } catch (assertion) {
+        done(assertion);
+      }
+    });
+  };
+
+  describe("--attach", function () {
+
+    it("should reject a command to launch", function (done) {
+      expectError(["--attach", "9000", "--", "node", "index.js"],
+        "error: --attach can not be used with a command to launch", done);
+    });
+
+    it("should reject the options of launched apps", function (done) {
+      expectError(["--attach", "--color"], "error: --color requires launching an app", done);
+    });
+
+    it("should reject an invalid port", function (done) {
+      expectError(["--attach", "localhost:http"], "error: invalid port 'http'", done);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+
+var Alerts = require("../../lib/alerts");
+
+describe("Alerts", function () {
+
+  describe("parseRule", function () {
+
+    it("should parse the metric, comparator, threshold and duration", function () {
+      expect(Alerts.parseRule("cpu.utilization > 90 @ 10s")).to.deep.equal({
+        metric: "cpu.utilization",
+        comparator: ">",
+        threshold: 90,
+        duration: 10000,
+        views: ["cpu"]
+      });
+
+      expect(Alerts.parseRule("custom.queue.depth<=-1.5@500")).to.deep.equal({
+        metric: "custom.queue.depth",
+        comparator: "<=",
+        threshold: -1.5,
+        duration: 500,
+        views: []
+      });
+
+      expect(Alerts.parseRule("eventLoop.delay>=200@1m"))
+        .to.have.property("duration", 60000);
+      expect(Alerts.parseRule("eventLoop.delay>=200@1.5h"))
+        .to.have.property("duration", 5400000);
+      expect(Alerts.parseRule("mem.rss!=0")).to.have.property("duration", 0);
+    });
+
+    it("should reject invalid rules", function () {
+      expect(function () {
+        Alerts.parseRule("cpu.utilization=>90");
+      }).to.throw("alert should have format <metric><comparator><threshold>[@<duration>]");
+
+      expect(function () {
+        Alerts.parseRule("cpu.utilization>90@10y");
+      }).to.throw(
+        "invalid alert cpu.utilization>90@10y, duration should be a number followed by w"
+      );
+    });
+  });
+
+  describe("describeRule", function () {
+
+    it("should describe the rule", function () {
+      expect(Alerts.describeRule(Alerts.parseRule("cpu.utilization>90@10s")))
+        .to.equal("cpu.utilization > 90 for 10s");
+      expect(Alerts.describeRule(Alerts.parseRule("cpu.utilization>90@120000")))
+        .to.equal("cpu.utilization > 90 for 2m");
+      expect(Alerts.describeRule(Alerts.parseRule("cpu.utilization>90")))
+        .to.equal("cpu.utilization > 90");
+    });
+  });
+
+  describe("constructor", function () {
+
+    it("should require complete rules", function () {
+      expect(function () {
+        return new Alerts([{ metric: "cpu.utilization", comparator: "~", threshold: 90 }]);
+      }).to.throw("Alert rule requires metric, comparator and threshold");
+    });
+
+    it("should keep the views of rules", function () {
+      var alerts = new Alerts([{
+        metric: "custom.latency",
+        comparator: ">",
+        threshold: 1,
+        views: ["graph"]
+      }]);
+
+      expect(alerts.rules[0]).to.have.property("views").that.deep.equals(["graph"]);
+    });
+  });
+
+  describe("check", function () {
+
+    it("should raise an alert once the threshold is crossed long enough", function () {
+      var alerts = new Alerts([Alerts.parseRule("cpu.utilization>90@2s")]);
+
+      expect(alerts.check({ cpu: { utilization: 95 } }, 1000)).to.be.empty;
+      expect(alerts.check({ cpu: { utilization: 96 } }, 2000)).to.be.empty;
+
+      var raised = alerts.check({ cpu: { utilization: 97 } }, 3000);
+      expect(raised).to.have.length(1);
+      expect(raised[0]).to.deep.equal({
+        rule: alerts.rules[0],
+        value: 97,
+        active: true,
+        time: 3000,
+        resolvedTime: undefined
+      });
+
+      // it is only raised once
+      expect(alerts.check({ cpu: { utilization: 98 } }, 4000)).to.be.empty;
+      expect(alerts.getActiveAlerts()).to.deep.equal(raised);
+    });
+
+    it("should start over when the threshold is no longer crossed", function () {
+      var alerts = new Alerts([Alerts.parseRule("cpu.utilization>90@2s")]);
+
+      alerts.check({ cpu: { utilization: 95 } }, 1000);
+      alerts.check({ cpu: { utilization: 50 } }, 2000);
+      alerts.check({ cpu: { utilization: 95 } }, 3000);
+
+      expect(alerts.check({ cpu: { utilization: 95 } }, 4000)).to.be.empty;
+      expect(alerts.check({ cpu: { utilization: 95 } }, 5000)).to.have.length(1);
+    });
+
+    it("should resolve active alerts", function () {
+      var alerts = new Alerts([Alerts.parseRule("eventLoop.delay>=200")]);
+
+      alerts.check({ eventLoop: { delay: 250 } }, 1000);
+
+      var resolved = alerts.check({ eventLoop: { delay: 10 } }, 2000);
+      expect(resolved).to.have.length(1);
+      expect(resolved[0]).to.include({ active: false, time: 1000, resolvedTime: 2000 });
+
+      expect(alerts.getActiveAlerts()).to.be.empty;
+      expect(alerts.getAlerts()).to.deep.equal(resolved);
+    });
+
+    it("should ignore metrics that are not reported", function () {
+      var alerts = new Alerts([Alerts.parseRule("custom.errors>0")]);
+
+      alerts.check({ custom: { errors: 1 } }, 1000);
+
+      expect(alerts.check({ cpu: { utilization: 1 } }, 2000)).to.be.empty;
+      expect(alerts.getActiveAlerts()).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+"use strict";
+
+var expect = require("chai").expect;
+
+var ansi = require("../../lib/ansi");
+
+describe("ansi", function () {
+
+  describe("toTags", function () {
+
+    it("should leave lines without escapes alone", function () {
+      expect(ansi.toTags("plain {bold}text")).to.equal("plain {bold}text");
+    });
+
+    it("should translate colors and attributes, closing them at the end", function () {
+      expect(ansi.toTags("\u001b[1;31mfailed\u001b[39m ok\u001b[0m done"))
+        .to.equal("{bold}{red-fg}failed{/red-fg} ok{/} done");
+      expect(ansi.toTags("\u001b[4m\u001b[44mblue\u001b[49m\u001b[24m"))
+        .to.equal("{underline}{blue-bg}blue{/blue-bg}{/underline}");
+      expect(ansi.toTags("\u001b[92mlight\u001b[36mcyan"))
+        .to.equal("{light-green-fg}light{/light-green-fg}{cyan-fg}cyan{/}");
+    });
+
+    it("should translate 256 colors and true colors", function () {
+      expect(ansi.toTags("\u001b[38;5;208morange\u001b[m"))
+        .to.equal("{208-fg}orange{/}");
+      expect(ansi.toTags("\u001b[48;2;255;0;10mred\u001b[m"))
+        .to.equal("{#ff000a-bg}red{/}");
+    });
+
+    it("should remove other escape sequences", function () {
+      expect(ansi.toTags("\u001b[2K\u001b[1Gprogress\u001b]0;title\u0007 \u001b[?25l100%"))
+        .to.equal("progress 100%");
+    });
+  });
+});
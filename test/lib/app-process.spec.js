@@ -0,0 +1,236 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var sinon = require("sinon");
+
+var AppProcess = require("../../lib/app-process");
+
+describe("AppProcess", function () {
+
+  var sandbox;
+  var exitTime = new Date(2017, 0, 1, 9, 5, 30).getTime();
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe("constructor", function () {
+
+    it("should reject unknown restart policies", function () {
+      expect(function () {
+        return new AppProcess("node", [], { restart: "sometimes" });
+      }).to.throw("Unknown restart policy 'sometimes', expected one of on-failure, always");
+    });
+  });
+
+  describe("describe", function () {
+
+    it("should describe starts, restarts, exits and kills", function () {
+      expect(AppProcess.describe({ event: "start", pid: 12, restarts: 0 }, exitTime))
+        .to.equal("app started (pid 12) at 09:05:30");
+      expect(AppProcess.describe({ event: "start", pid: 13, restarts: 1 }, exitTime))
+        .to.equal("app restarted (pid 13) at 09:05:30");
+      expect(AppProcess.describe({ event: "exit", code: 0, signal: null }, exitTime))
+        .to.equal("app exited with code 0 at 09:05:30");
+      expect(AppProcess.describe({
+        event: "exit",
+        code: null,
+        signal: "SIGKILL",
+        restartDelay: 2000
+      }, exitTime)).to.equal("app was killed by SIGKILL at 09:05:30, restarting in 2s");
+      expect(AppProcess.describe({
+        event: "exit",
+        code: 0,
+        signal: null,
+        restartDelay: 0,
+        reason: "lib/index.js changed"
+      }, exitTime))
+        .to.equal("app exited with code 0 at 09:05:30, restarting (lib/index.js changed)");
+    });
+  });
+
+  describe("start", function () {
+
+    it("should emit the start, output and exit of the app", function (done) {
+      var app = new AppProcess(process.execPath, [
+        "-e", "console.log('out'); console.error('err'); process.exit(3)"
+      ]);
+      var onStart = sandbox.spy();
+      var output = { stdout: "", stderr: "" };
+
+      app.on("start", onStart);
+      app.on("stdout", function (data) { output.stdout += data; });
+      app.on("stderr", function (data) { output.stderr += data; });
+      app.on("exit", function (exit) {
+        try {
+          expect(onStart).to.have.been.calledOnce
+            .and.calledWithMatch({ event: "start", restarts: 0 });
+          expect(output).to.deep.equal({ stdout: "out\n", stderr: "err\n" });
+          expect(exit).to.deep.equal({
+            event: "exit",
+            code: 3,
+            signal: null,
+            restartDelay: undefined
+          });
+          expect(app.exits).to.deep.equal([exit]);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      app.start();
+    });
+  });
+
+  describe("write", function () {
+
+    it("should write to the stdin of the app until its input ends", function (done) {
+      var app = new AppProcess(process.execPath, ["-e", "process.stdin.pipe(process.stdout)"]);
+      var output = "";
+
+      expect(app.write("lost\n")).to.be.false;
+      expect(app.getInputError()).to.equal("app not running");
+
+      app.on("stdout", function (data) { output += data; });
+      app.on("exit", function () {
+        try {
+          expect(output).to.equal("hello\n");
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      app.start();
+      expect(app.getInputError()).to.be.null;
+      expect(app.write("hello\n")).to.be.true;
+      app.endInput();
+      expect(app.write("lost\n")).to.be.false;
+      expect(app.getInputError()).to.equal("app input ended");
+    });
+  });
+
+  describe("restart", function () {
+
+    it("should start the app again as soon as it closes", function () {
+      var app = new AppProcess("node", []);
+      var onExit = sandbox.spy();
+      app.child = { pid: 42 };
+      app.on("exit", onExit);
+      sandbox.stub(process, "kill");
+      sandbox.stub(app, "start");
+      sandbox.stub(global, "setTimeout").callsArg(0);
+
+      app.restart("lib/index.js changed");
+      expect(process.kill).to.have.been.calledOnce;
+      expect(app.start).to.not.have.been.called;
+
+      app._onClose(null, "SIGTERM");
+      expect(onExit).to.have.been.calledWithExactly({
+        event: "exit",
+        code: null,
+        signal: "SIGTERM",
+        restartDelay: 0,
+        reason: "lib/index.js changed"
+      });
+      expect(app.start).to.have.been.calledOnce;
+      expect(app.restarts).to.equal(1);
+    });
+
+    it("should start the app right away when it is not running", function () {
+      var app = new AppProcess("node", [], { restart: "always" });
+      app._restartTimeout = 7;
+      sandbox.stub(global, "clearTimeout");
+      sandbox.stub(app, "start");
+
+      app.restart("lib/index.js changed");
+      expect(global.clearTimeout).to.have.been.calledWith(7);
+      expect(app.start).to.have.been.calledOnce;
+      expect(app.restarts).to.equal(1);
+    });
+  });
+
+  describe("getEnv", function () {
+
+    it("should set FORCE_COLOR with the color option, unless it is set", function () {
+      sandbox.stub(process, "env", { PATH: "/bin" });
+
+      expect(new AppProcess("node", []).getEnv()).to.equal(process.env);
+      expect(new AppProcess("node", [], { color: true }).getEnv())
+        .to.deep.equal({ PATH: "/bin", FORCE_COLOR: "1" });
+      expect(process.env).to.not.have.property("FORCE_COLOR");
+
+      process.env.FORCE_COLOR = "3";
+      expect(new AppProcess("node", [], { color: true }).getEnv())
+        .to.have.property("FORCE_COLOR", "3");
+    });
+  });
+
+  describe("getRestartDelay", function () {
+
+    it("should not restart without a restart policy or once stopped", function () {
+      expect(new AppProcess("node", []).getRestartDelay(1)).to.be.undefined;
+
+      var app = new AppProcess("node", [], { restart: "always" });
+      app.stop();
+      expect(app.getRestartDelay(1)).to.be.undefined;
+    });
+
+    it("should only restart failures with the on-failure policy", function () {
+      var app = new AppProcess("node", [], { restart: "on-failure" });
+
+      expect(app.getRestartDelay(0)).to.be.undefined;
+      expect(app.getRestartDelay(1)).to.equal(1000);
+      expect(app.getRestartDelay(null)).to.equal(2000);
+    });
+
+    it("should back off until the app stays up for a while", function () {
+      var now = 100000;
+      sandbox.stub(Date, "now", function () { return now; });
+      var app = new AppProcess("node", [], { restart: "always" });
+      app._startTime = now;
+
+      expect(app.getRestartDelay(0)).to.equal(1000);
+      expect(app.getRestartDelay(0)).to.equal(2000);
+      expect(app.getRestartDelay(0)).to.equal(4000);
+      for (var failure = 0; failure < 5; failure++) {
+        app.getRestartDelay(1);
+      }
+      expect(app.getRestartDelay(1)).to.equal(30000);
+
+      now += 10000;
+      expect(app.getRestartDelay(1)).to.equal(1000);
+    });
+  });
+
+  describe("_onClose", function () {
+
+    it("should restart the app after the delay", function () {
+      var app = new AppProcess("node", [], { restart: "on-failure" });
+      var onExit = sandbox.spy();
+      app._startTime = Date.now();
+      app.on("exit", onExit);
+      sandbox.stub(app, "start");
+      sandbox.stub(global, "setTimeout").callsArg(0);
+
+      app._onClose(1, null);
+
+      expect(onExit).to.have.been.calledOnce.and.calledWithExactly({
+        event: "exit",
+        code: 1,
+        signal: null,
+        restartDelay: 1000
+      });
+      expect(global.setTimeout).to.have.been.calledWith(sinon.match.func, 1000);
+      expect(app.start).to.have.been.calledOnce;
+      expect(app.restarts).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+"use strict";
+
+var expect = require("chai").expect;
+
+var attach = require("../../lib/attach");
+var config = require("../../lib/config");
+
+describe("attach", function () {
+
+  describe("parseAddress", function () {
+
+    it("should listen on the default port of all interfaces without an address", function () {
+      expect(attach.parseAddress(true, "9838")).to.deep.equal({ host: undefined, port: "9838" });
+    });
+
+    it("should parse a port, with an optional host", function () {
+      expect(attach.parseAddress("9000", "9838")).to.deep.equal({ host: undefined, port: "9000" });
+      expect(attach.parseAddress("127.0.0.1:9000", "9838"))
+        .to.deep.equal({ host: "127.0.0.1", port: "9000" });
+      expect(attach.parseAddress("::1:9000", "9838")).to.deep.equal({ host: "::1", port: "9000" });
+    });
+  });
+
+  describe("getOutputNotice", function () {
+
+    it("should tell how to start the apps to attach to", function () {
+      var env = {};
+      env[config.PORT_KEY] = "9000";
+      env[config.REFRESH_INTERVAL_KEY] = "1000";
+      env[config.BLOCKED_THRESHOLD_KEY] = "10";
+
+      expect(attach.getOutputNotice("stderr", env)).to.equal("stderr not captured, "
+        + "attached to apps started with nodejs_dashboard_PORT=9000 "
+        + "nodejs_dashboard_REFRESH_INTERVAL=1000 nodejs_dashboard_BLOCKED_THRESHOLD=10\n");
+    });
+  });
+});
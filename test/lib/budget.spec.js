@@ -0,0 +1,97 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var Budget = require("../../lib/budget");
+
+describe("Budget", function () {
+
+  var file;
+
+  var writeBudget = function (budgets) {
+    fs.writeFileSync(file, typeof budgets === "string" ? budgets : JSON.stringify(budgets));
+  };
+
+  beforeEach(function () {
+    file = path.join(os.tmpdir(), "nodejs-dashboard-budget-" + process.pid + ".json");
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it("should load the budget of each metric statistic", function () {
+    writeBudget({
+      "eventLoop.delay": { max: 200 },
+      "cpu.utilization": { p95: 80, mean: 50 }
+    });
+
+    expect(new Budget(file).budgets).to.deep.equal([
+      { metric: "eventLoop.delay", statistic: "max", limit: 200 },
+      { metric: "cpu.utilization", statistic: "p95", limit: 80 },
+      { metric: "cpu.utilization", statistic: "mean", limit: 50 }
+    ]);
+  });
+
+  it("should reject invalid budget files", function () {
+    expect(function () {
+      return new Budget(path.join(os.tmpdir(), "nodejs-dashboard-missing-budget.json"));
+    }).to.throw(/^Invalid budget .*ENOENT/);
+
+    writeBudget("{ not json");
+    expect(function () {
+      return new Budget(file);
+    }).to.throw(/^Invalid budget .*JSON/);
+
+    writeBudget({ "cpu.utilization": { p42: 80 } });
+    expect(function () {
+      return new Budget(file);
+    }).to.throw("cpu.utilization p42 should be a number for one of min, max, mean, p50");
+
+    writeBudget({ "cpu.utilization": { max: "80" } });
+    expect(function () {
+      return new Budget(file);
+    }).to.throw("cpu.utilization max should be a number");
+  });
+
+  it("should evaluate the statistics of the metrics recorded", function () {
+    writeBudget({
+      "eventLoop.delay": { max: 200 },
+      "cpu.utilization": { p95: 80, p50: 50, mean: 40 },
+      "custom.errors": { max: 0 }
+    });
+
+    var budget = new Budget(file);
+    for (var utilization = 1; utilization <= 100; utilization++) {
+      budget.record({ cpu: { utilization: utilization }, eventLoop: { delay: utilization * 2 } });
+    }
+
+    expect(budget.evaluate()).to.deep.equal([
+      { metric: "eventLoop.delay", statistic: "max", limit: 200, actual: 200, passed: true },
+      { metric: "cpu.utilization", statistic: "p95", limit: 80, actual: 95, passed: false },
+      { metric: "cpu.utilization", statistic: "p50", limit: 50, actual: 50, passed: true },
+      { metric: "cpu.utilization", statistic: "mean", limit: 40, actual: 50.5, passed: false },
+      { metric: "custom.errors", statistic: "max", limit: 0, actual: undefined, passed: false }
+    ]);
+  });
+
+  it("should summarize the results in a table", function () {
+    expect(Budget.getSummary([
+      { metric: "eventLoop.delay", statistic: "max", limit: 200, actual: 12.5, passed: true },
+      { metric: "cpu.utilization", statistic: "p95", limit: 80, actual: 95, passed: false },
+      { metric: "custom.errors", statistic: "max", limit: 0, actual: undefined, passed: false }
+    ]).split("\n")).to.deep.equal([
+      "Budget               Limit  Actual  Result",
+      "eventLoop.delay max  200    12.5    pass",
+      "cpu.utilization p95  80     95      FAIL",
+      "custom.errors max    0      -       FAIL (no data)"
+    ]);
+  });
+});
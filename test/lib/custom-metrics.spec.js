@@ -0,0 +1,92 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var sinon = require("sinon");
+
+var customMetrics = require("../../lib/custom-metrics");
+
+describe("custom-metrics", function () {
+
+  var sandbox;
+  var custom;
+
+  before(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  beforeEach(function () {
+    custom = customMetrics();
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it("should report nothing when no metrics are defined", function () {
+    expect(custom.getMetrics()).to.deep.equal({});
+  });
+
+  it("should nest metrics using their dot-separated names", function () {
+    custom.increment("jobs.completed");
+    custom.increment("jobs.completed", 2);
+    custom.gauge("queue.depth", 12);
+    custom.gauge("cache.hitRatio", 0.75);
+
+    expect(custom.getMetrics()).to.deep.equal({
+      jobs: { completed: 3 },
+      queue: { depth: 12 },
+      cache: { hitRatio: 0.75 }
+    });
+  });
+
+  it("should report timer count, mean and max", function () {
+    custom.timing("db.query", 10);
+    custom.timing("db.query", 30);
+    custom.timing("db.query", 20);
+
+    expect(custom.getMetrics()).to.deep.equal({
+      db: {
+        query: { count: 3, mean: 20, max: 30 }
+      }
+    });
+  });
+
+  it("should time with startTimer", function () {
+    sandbox.stub(process, "hrtime", function (start) {
+      return start ? [1, 500000] : [100, 0];
+    });
+
+    var stop = custom.startTimer("request");
+    expect(stop()).to.equal(1000.5);
+
+    expect(custom.getMetrics()).to.deep.equal({
+      request: { count: 1, mean: 1000.5, max: 1000.5 }
+    });
+  });
+
+  it("should reset counters and timers but keep gauges", function () {
+    custom.increment("errors");
+    custom.gauge("connections", 5);
+    custom.timing("request", 15);
+
+    custom.reset();
+
+    expect(custom.getMetrics()).to.deep.equal({
+      errors: 0,
+      connections: 5,
+      request: { count: 0, mean: 0, max: 0 }
+    });
+  });
+
+  it("should require a name and a numeric value", function () {
+    expect(function () {
+      custom.gauge("", 1);
+    }).to.throw("Custom metric requires a name");
+
+    expect(function () {
+      custom.gauge("queue.depth", "deep");
+    }).to.throw("Custom metric queue.depth requires a numeric value");
+  });
+});
@@ -6,6 +6,7 @@ var expect = require("chai").expect;
 var sinon = require("sinon");
 
 var SocketIO = require("socket.io");
+var v8 = require("v8");
 var config = require("../../lib/config");
 var dashboardAgent = require("../../lib/dashboard-agent");
 var pusage = require("pidusage");
@@ -121,6 +122,96 @@ describe("dashboard-agent", function () {
       });
     });
 
+    it("should report heap space usage", function (done) {
+      sandbox.stub(pusage, "stat").yields(null, { cpu: 50 });
+      sandbox.stub(process, "memoryUsage").returns({
+        rss: 30,
+        heapTotal: 40,
+        heapUsed: 50,
+        external: 60,
+        arrayBuffers: 70
+      });
+      sandbox.stub(v8, "getHeapSpaceStatistics").returns([
+        { "space_name": "new_space", "space_used_size": 10 },
+        { "space_name": "old_space", "space_used_size": 20 },
+        { "space_name": "code_space", "space_used_size": 30 },
+        { "space_name": "map_space", "space_used_size": 40 },
+        { "space_name": "large_object_space", "space_used_size": 50 },
+        { "space_name": "code_large_object_space", "space_used_size": 5 }
+      ]);
+
+      agent._getStats(function (err, metrics) {
+        tryCatch(done, function () {
+          expect(err).to.be.null;
+          expect(metrics.heap).to.deep.equal({
+            newSpace: 10,
+            oldSpace: 20,
+            codeSpace: 30,
+            largeObjectSpace: 55,
+            external: 60,
+            arrayBuffers: 70
+          });
+        });
+      });
+    });
+
+    it("should report garbage collection counts and pauses by kind", function (done) {
+      var gcKinds = require("perf_hooks").constants; // eslint-disable-line global-require
+      sandbox.stub(pusage, "stat").yields(null, { cpu: 50 });
+
+      agent._gcObserved(gcKinds.NODE_PERFORMANCE_GC_MINOR, 1.5);
+      agent._gcObserved(gcKinds.NODE_PERFORMANCE_GC_MINOR, 2);
+      agent._gcObserved(gcKinds.NODE_PERFORMANCE_GC_MAJOR, 10);
+      agent._gcObserved(gcKinds.NODE_PERFORMANCE_GC_INCREMENTAL, 0.5);
+
+      agent._getStats(function (err, metrics) {
+        tryCatch(done, function () {
+          expect(err).to.be.null;
+          expect(metrics.gc).to.deep.equal({
+            count: 4,
+            pause: 14,
+            scavenge: 2,
+            markSweep: 1,
+            incremental: 1
+          });
+        });
+      });
+    });
+
+    it("should reset garbage collection metrics after each emit", function (done) {
+      sandbox.stub(pusage, "stat").yields(null, { cpu: 50 });
+
+      agent._gcObserved(0, 3);
+      agent._emitStats();
+
+      agent._getStats(function (err, metrics) {
+        tryCatch(done, function () {
+          expect(err).to.be.null;
+          expect(metrics.gc.count).to.equal(0);
+          expect(metrics.gc.pause).to.equal(0);
+        });
+      });
+    });
+
+    it("should report custom metrics", function (done) {
+      sandbox.stub(pusage, "stat").yields(null, { cpu: 50 });
+
+      agent.increment("jobs.completed");
+      agent.gauge("queue.depth", 8);
+      agent.timing("db.query", 12);
+
+      agent._getStats(function (err, metrics) {
+        tryCatch(done, function () {
+          expect(err).to.be.null;
+          expect(metrics.custom).to.deep.equal({
+            jobs: { completed: 1 },
+            queue: { depth: 8 },
+            db: { query: { count: 1, mean: 12, max: 12 } }
+          });
+        });
+      });
+    });
+
     it("should return an error when pusage fails", function (done) {
       sandbox.stub(pusage, "stat").yields(new Error("bad error"));
 
@@ -0,0 +1,60 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+
+var expression = require("../../lib/expression");
+
+describe("expression", function () {
+
+  var data = {
+    mem: {
+      heapUsed: 25,
+      heapTotal: 100
+    },
+    custom: {
+      queue: {
+        depth: 6
+      }
+    }
+  };
+
+  it("should evaluate metric paths", function () {
+    expect(expression.compile("custom.queue.depth")(data)).to.equal(6);
+  });
+
+  it("should evaluate metric paths that are not present as zero", function () {
+    expect(expression.compile("custom.cache.hits + 1")(data)).to.equal(1);
+  });
+
+  it("should apply operator precedence and parentheses", function () {
+    expect(expression.compile("mem.heapUsed / mem.heapTotal * 100")(data)).to.equal(25);
+    expect(expression.compile("2 + 3 * 4")(data)).to.equal(14);
+    expect(expression.compile("(2 + 3) * 4")(data)).to.equal(20);
+    expect(expression.compile("10 - 4 - 3")(data)).to.equal(3);
+    expect(expression.compile("-custom.queue.depth % 4")(data)).to.equal(-2);
+  });
+
+  it("should evaluate division by zero as zero", function () {
+    expect(expression.compile("mem.heapUsed / mem.external")(data)).to.equal(0);
+  });
+
+  it("should throw on invalid expressions", function () {
+    expect(function () {
+      expression.compile("mem.heapUsed +");
+    }).to.throw("Unexpected end in expression \"mem.heapUsed +\"");
+
+    expect(function () {
+      expression.compile("(mem.heapUsed");
+    }).to.throw("Missing ) in expression \"(mem.heapUsed\"");
+
+    expect(function () {
+      expression.compile("mem.heapUsed mem.heapTotal");
+    }).to.throw("Unexpected mem.heapTotal in expression");
+
+    expect(function () {
+      expression.compile("mem.heapUsed ^ 2");
+    }).to.throw("Unexpected input in expression");
+  });
+});
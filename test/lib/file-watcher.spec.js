@@ -0,0 +1,212 @@
+/* eslint-disable no-magic-numbers, max-statements */
+
+"use strict";
+
+var EventEmitter = require("events").EventEmitter;
+var expect = require("chai").expect;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var sinon = require("sinon");
+var _ = require("lodash");
+
+var FileWatcher = require("../../lib/file-watcher");
+
+describe("FileWatcher", function () {
+
+  var sandbox;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe("parseGlobs", function () {
+
+    it("should split globs on commas outside of alternatives", function () {
+      expect(FileWatcher.parseGlobs("lib/**/*.js,{src,test}/*.{js,json},"))
+        .to.deep.equal(["lib/**/*.js", "{src,test}/*.{js,json}"]);
+    });
+  });
+
+  describe("describe", function () {
+
+    it("should describe the files changed", function () {
+      expect(FileWatcher.describe(["lib/index.js"])).to.equal("lib/index.js changed");
+      expect(FileWatcher.describe(["a.js", "b.js"])).to.equal("2 files changed");
+    });
+  });
+
+  describe("isWatched", function () {
+
+    it("should match files against the globs", function () {
+      var watcher = new FileWatcher(["lib/**/*.js", "*.{json,yml}", "config/?.txt"]);
+
+      expect(watcher.isWatched("lib/index.js")).to.be.true;
+      expect(watcher.isWatched("lib/views/a/b.js")).to.be.true;
+      expect(watcher.isWatched(path.resolve("lib/index.js"))).to.be.true;
+      expect(watcher.isWatched("lib/index.jsx")).to.be.false;
+      expect(watcher.isWatched("package.json")).to.be.true;
+      expect(watcher.isWatched(".travis.yml")).to.be.true;
+      expect(watcher.isWatched("lib/package.json")).to.be.false;
+      expect(watcher.isWatched("config/a.txt")).to.be.true;
+      expect(watcher.isWatched("config/ab.txt")).to.be.false;
+    });
+
+    it("should ignore node_modules, .git and the globs ignored", function () {
+      var watcher = new FileWatcher(["**/*"], { ignore: ["**/*.log"] });
+
+      expect(watcher.isWatched("lib/index.js")).to.be.true;
+      expect(watcher.isWatched("node_modules/lodash/index.js")).to.be.false;
+      expect(watcher.isWatched("lib/node_modules/a.js")).to.be.false;
+      expect(watcher.isWatched(".git/HEAD")).to.be.false;
+      expect(watcher.isWatched("logs/app.log")).to.be.false;
+    });
+  });
+
+  describe("start", function () {
+
+    it("should watch the directory of each glob recursively where supported", function () {
+      var watchers = [];
+      sandbox.stub(fs, "watch", function () {
+        var watcher = new EventEmitter();
+        watcher.close = sandbox.spy();
+        watchers.push(watcher);
+
+        return watcher;
+      });
+
+      var watcher = new FileWatcher(["lib/**/*.js", "lib/*.json", "*.js", "test/app/index.js"], {
+        recursive: true
+      });
+      watcher.start();
+
+      expect(fs.watch.args.map(function (args) { return args[0]; }))
+        .to.deep.equal(["lib", ".", "test/app"]);
+      expect(fs.watch).to.have.always.been.calledWith(sinon.match.string, { recursive: true });
+
+      watcher.close();
+      expect(watchers[2].close).to.have.been.calledOnce;
+    });
+
+    it("should report the files changed once changes settle", function () {
+      var onChange = sandbox.spy();
+      var watcher = new FileWatcher(["lib/**/*.js"], { delay: 100, recursive: true });
+      var timeouts = [];
+      sandbox.stub(global, "setTimeout", function (callback) {
+        timeouts.push(callback);
+        return timeouts.length;
+      });
+      sandbox.stub(global, "clearTimeout");
+      sandbox.stub(fs, "watch").returns(new EventEmitter());
+      watcher.on("change", onChange);
+
+      watcher.start();
+      var listener = fs.watch.firstCall.args[2];
+      listener("change", "a.js");
+      listener("rename", "views/b.js");
+      listener("change", "a.js");
+      listener("change", "a.txt");
+
+      expect(global.setTimeout).to.have.been.calledThrice.and.always.calledWith(
+        sinon.match.func, 100
+      );
+      expect(global.clearTimeout).to.have.been.calledWith(2);
+
+      timeouts[2]();
+      expect(onChange).to.have.been.calledOnce
+        .and.calledWithExactly(["lib/a.js", "lib/views/b.js"]);
+    });
+
+    describe("without recursive watching", function () {
+
+      var root;
+
+      var mkdirs = function (directories) {
+        directories.forEach(function (directory) {
+          fs.mkdirSync(path.join(root, directory));
+        });
+      };
+
+      var rmdirs = function (directory) {
+        fs.readdirSync(directory).forEach(function (name) {
+          var file = path.join(directory, name);
+
+          if (fs.lstatSync(file).isDirectory()) {
+            rmdirs(file);
+          } else {
+            fs.unlinkSync(file);
+          }
+        });
+        fs.rmdirSync(directory);
+      };
+
+      beforeEach(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), "nodejs-dashboard-watch-"));
+        mkdirs(["lib", "lib/views", "lib/node_modules", "logs"]);
+      });
+
+      afterEach(function () {
+        rmdirs(root);
+      });
+
+      it("should watch each directory that isn't ignored", function () {
+        var watchers = {};
+        sandbox.stub(fs, "watch", function (directory) {
+          var watched = path.resolve(directory);
+          watchers[watched] = new EventEmitter();
+          watchers[watched].close = sandbox.spy();
+
+          return watchers[watched];
+        });
+
+        var watcher = new FileWatcher([path.join(root, "**/*.js")], {
+          ignore: [path.join(root, "logs/**")],
+          recursive: false
+        });
+        watcher.start();
+
+        expect(fs.watch.args.map(function (args) { return path.relative(root, args[0]); }))
+          .to.deep.equal(["", "lib", path.join("lib", "views")]);
+        expect(fs.watch).to.have.always.been.calledWith(sinon.match.string, { recursive: false });
+
+        // directories created are watched, and those removed are not anymore
+        mkdirs(["lib/models"]);
+        fs.watch.secondCall.args[2]("rename", "models");
+        expect(path.resolve(fs.watch.lastCall.args[0])).to.equal(path.join(root, "lib", "models"));
+
+        rmdirs(path.join(root, "lib"));
+        fs.watch.firstCall.args[2]("rename", "lib");
+        expect(watchers[path.join(root, "lib", "views")].close).to.have.been.calledOnce;
+        expect(_.map(_.keys(watcher._watchers), _.unary(path.resolve))).to.deep.equal([root]);
+
+        watcher.close();
+        expect(watchers[root].close).to.have.been.calledOnce;
+      });
+
+      it("should report changes to files in subdirectories", function (done) {
+        var watcher = new FileWatcher([path.join(root, "lib/**/*.js")], {
+          delay: 10,
+          recursive: false
+        });
+
+        watcher.on("change", function (files) {
+          watcher.close();
+          try {
+            expect(files).to.include(path.relative(process.cwd(), path.join(root, "lib/views/a.js"))
+              .split(path.sep).join("/"));
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        watcher.start();
+        fs.writeFileSync(path.join(root, "lib/views/a.js"), "");
+      });
+    });
+  });
+});
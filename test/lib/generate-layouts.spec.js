@@ -13,30 +13,61 @@ var mock = function (path, obj) {
 };
 
 var generateLayouts = require("../../lib/generate-layouts");
+var loadConfig = generateLayouts.loadConfig;
 
 describe("generate-layouts", function () {
   it("should validate default layout", function () {
-    expect(generateLayouts("lib/default-layout-config.js")).to.be.an("array");
+    expect(generateLayouts(loadConfig("lib/default-layout-config.js"))).to.be.an("array");
+    expect(generateLayouts()).to.have.length(loadConfig().layouts.length);
   });
 
   it("should fail on bad layouts", function () {
     expect(function () {
-      generateLayouts("fake/layout-not-found");
+      generateLayouts(loadConfig("fake/layout-not-found"));
     }).to.throw(/Cannot find module/);
 
     expect(function () {
       mock("fake/invalid-config-layout", { invalid: "config" });
-      generateLayouts("fake/invalid-config-layout");
+      generateLayouts(loadConfig("fake/invalid-config-layout"));
     }).to.throw(/instance is not of a type\(s\) array/);
   });
 
   it("should generate empty layout", function () {
     mock("fake/empty-layout", []);
-    expect(generateLayouts("fake/empty-layout")).to.be.empty;
+    expect(generateLayouts(loadConfig("fake/empty-layout"))).to.be.empty;
+  });
+
+  it("should generate layouts of a file with layouts and alert rules", function () {
+    mock("fake/alerts-layout", {
+      layouts: [[{ views: [{ type: "alerts" }] }]],
+      alerts: [{ metric: "cpu.utilization", comparator: ">", threshold: 90, duration: 10000 }]
+    });
+
+    var config = loadConfig("fake/alerts-layout");
+
+    expect(generateLayouts(config)).to.have.length(1);
+    expect(config.alerts).to.deep.equal([
+      { metric: "cpu.utilization", comparator: ">", threshold: 90, duration: 10000 }
+    ]);
+  });
+
+  it("should fail on bad alert rules", function () {
+    expect(function () {
+      mock("fake/invalid-alerts-layout", {
+        layouts: [],
+        alerts: [{ metric: "cpu.utilization", comparator: "~" }]
+      });
+      loadConfig("fake/invalid-alerts-layout");
+    }).to.throw(/Alert config is invalid/);
+  });
+
+  it("should have no alert rules without a layouts file", function () {
+    expect(loadConfig().alerts).to.be.empty;
+    expect(loadConfig("lib/default-layout-config.js").alerts).to.be.empty;
   });
 
   it("should include a getPosition method", function () {
-    var layout = generateLayouts("lib/default-layout-config.js");
+    var layout = generateLayouts(loadConfig("lib/default-layout-config.js"));
     var fake = { fake: "result" };
 
     expect(layout[0]).to.respondTo("getPosition");
@@ -0,0 +1,184 @@
+/* eslint-disable max-statements, no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var sinon = require("sinon");
+
+var AGGREGATE_TIME_LEVELS = require("../../lib/constants").AGGREGATE_TIME_LEVELS;
+var HeadlessReporter = require("../../lib/headless-reporter");
+
+describe("HeadlessReporter", function () {
+
+  var sandbox;
+  var stdout;
+  var stderr;
+
+  var createReporter = function (options) {
+    return new HeadlessReporter(Object.assign({ stdout: stdout, stderr: stderr }, options));
+  };
+
+  var getLines = function (stream) {
+    return stream.write.args.map(function (args) {
+      return args[0];
+    });
+  };
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+    stdout = { write: sandbox.stub() };
+    stderr = { write: sandbox.stub() };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it("should reject unknown formats", function () {
+    expect(function () {
+      createReporter({ format: "xml" });
+    }).to.throw("Unknown format 'xml', expected one of json, csv");
+  });
+
+  it("should write samples as JSON lines", function () {
+    var reporter = createReporter();
+    reporter.onEvent({ type: "metrics", data: { cpu: { utilization: 5 } }, time: 1000 });
+
+    expect(getLines(stdout)).to.deep.equal([
+      "{\"time\":1000,\"metrics\":{\"cpu\":{\"utilization\":5}}}\n"
+    ]);
+  });
+
+  it("should write CSV columns of the metrics of the first sample", function () {
+    var reporter = createReporter({ format: "csv" });
+    reporter.onEvent({ type: "metrics", data: { cpu: { utilization: 5 } }, time: 1000 });
+    reporter.onEvent({
+      type: "metrics",
+      data: { cpu: { utilization: 6 }, custom: { requests: 2 } },
+      time: 2000
+    });
+    reporter.onEvent({ type: "metrics", data: { custom: { requests: 3 } }, time: 3000 });
+
+    expect(getLines(stdout)).to.deep.equal([
+      "time,aggregate,cpu.utilization\n",
+      "1000,,5\n",
+      "2000,,6\n",
+      "3000,,\n"
+    ]);
+    expect(getLines(stderr)).to.deep.equal([
+      "[csv] metrics left out of the columns, list them with --columns: custom.requests\n"
+    ]);
+  });
+
+  it("should write the CSV columns configured", function () {
+    var reporter = createReporter({ format: "csv", columns: ["custom.requests", "mem.rss"] });
+    reporter.onEvent({ type: "metrics", data: { cpu: { utilization: 5 } }, time: 1000 });
+    reporter.onEvent({
+      type: "metrics",
+      data: { cpu: { utilization: 6 }, custom: { requests: 2 } },
+      time: 2000
+    });
+
+    expect(getLines(stdout)).to.deep.equal([
+      "time,aggregate,custom.requests,mem.rss\n",
+      "1000,,,\n",
+      "2000,,2,\n"
+    ]);
+    expect(stderr.write).to.not.have.been.called;
+  });
+
+  it("should write aggregates when configured", function () {
+    var timeKey = AGGREGATE_TIME_LEVELS[0];
+    var reporter = createReporter({ aggregates: true, startTime: 10000 });
+    reporter.onEvent({ type: "metrics", data: { cpu: { utilization: 4 } }, time: 10100 });
+    reporter.onEvent({ type: "metrics", data: { cpu: { utilization: 8 } }, time: 10200 });
+    reporter.onEvent({
+      type: "metrics",
+      data: { cpu: { utilization: 1 } },
+      time: 10100 + +timeKey
+    });
+
+    expect(JSON.parse(getLines(stdout)[3])).to.deep.equal({
+      time: 10000,
+      aggregate: +timeKey,
+      metrics: { cpu: { utilization: 6 } }
+    });
+  });
+
+  it("should write metrics to a file when configured", function () {
+    var file = path.join(os.tmpdir(), "nodejs-dashboard-headless-" + process.pid + ".csv");
+    var reporter = createReporter({ format: "csv", output: file });
+    reporter.onEvent({ type: "metrics", data: { cpu: { utilization: 5 } }, time: 1000 });
+    reporter.close();
+
+    var contents = fs.readFileSync(file, "utf8");
+    fs.unlinkSync(file);
+
+    expect(contents).to.equal("time,aggregate,cpu.utilization\n1000,,5\n");
+    expect(stdout.write).to.not.have.been.called;
+  });
+
+  it("should pass the output of the app through when metrics go to a file", function () {
+    var file = path.join(os.tmpdir(), "nodejs-dashboard-headless-" + process.pid + ".json");
+    var reporter = createReporter({ output: file });
+    reporter.onEvent({ type: "stdout", data: "out" });
+    reporter.onEvent({ type: "stderr", data: "err\n" });
+    reporter.close();
+    fs.unlinkSync(file);
+
+    expect(getLines(stdout)).to.deep.equal(["out"]);
+    expect(getLines(stderr)).to.deep.equal(["err\n"]);
+  });
+
+  it("should keep the stdout of the app out of metrics written to stdout", function () {
+    var reporter = createReporter();
+    reporter.onEvent({ type: "metrics", data: { cpu: { utilization: 5 } }, time: 1000 });
+    reporter.onEvent({ type: "stdout", data: "out\n" });
+    reporter.onEvent({ type: "stderr", data: "err\n" });
+
+    expect(getLines(stdout)).to.deep.equal([
+      "{\"time\":1000,\"metrics\":{\"cpu\":{\"utilization\":5}}}\n"
+    ]);
+    expect(getLines(stderr)).to.deep.equal(["out\n", "err\n"]);
+  });
+
+  it("should prefix each complete line of output when configured", function () {
+    var reporter = createReporter({ prefixOutput: true });
+    reporter.onEvent({ type: "stdout", data: "one\ntw" });
+    reporter.onEvent({ type: "stdout", data: "o\n" });
+    reporter.onEvent({ type: "stderr", data: "oops\n" });
+
+    expect(getLines(stderr)).to.deep.equal([
+      "[stdout] one\n", "[stdout] two\n", "[stderr] oops\n"
+    ]);
+  });
+
+  it("should describe the app events", function () {
+    var reporter = createReporter();
+    var time = new Date(2017, 0, 1, 9, 5, 30).getTime();
+    reporter.onEvent({ type: "app", data: { event: "exit", code: 1 }, time: time });
+
+    expect(getLines(stderr)).to.deep.equal(["[app] app exited with code 1 at 09:05:30\n"]);
+    expect(stdout.write).to.not.have.been.called;
+  });
+
+  it("should record events when configured", function () {
+    var recorder = { record: sandbox.spy() };
+    var reporter = createReporter({ recorder: recorder });
+    reporter.onEvent({ type: "stdout", data: "out\n", time: 1000 });
+
+    expect(recorder.record).to.have.been.calledWithExactly("stdout", "out\n", 1000);
+  });
+
+  it("should write events to log files when configured", function () {
+    var logWriter = { record: sandbox.spy() };
+    var reporter = createReporter({ logWriter: logWriter });
+    reporter.onEvent({ type: "metrics", data: { cpu: { utilization: 5 } }, time: 1000 });
+
+    expect(logWriter.record).to.have.been
+      .calledWithExactly("metrics", { cpu: { utilization: 5 } }, 1000);
+  });
+});
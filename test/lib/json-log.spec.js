@@ -0,0 +1,71 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+
+var jsonLog = require("../../lib/json-log");
+
+describe("jsonLog", function () {
+
+  describe("parse", function () {
+
+    it("should parse JSON objects only", function () {
+      expect(jsonLog.parse("{\"level\":30,\"msg\":\"hi\"}"))
+        .to.deep.equal({ level: 30, msg: "hi" });
+      expect(jsonLog.parse("{\"level\":30,")).to.be.null;
+      expect(jsonLog.parse("[1, 2]")).to.be.null;
+      expect(jsonLog.parse("plain text")).to.be.null;
+    });
+  });
+
+  describe("getLevel", function () {
+
+    it("should get levels by number or name", function () {
+      expect(jsonLog.getLevel({ level: 30 })).to.have.property("name", "info");
+      expect(jsonLog.getLevel({ level: 35 })).to.have.property("name", "info");
+      expect(jsonLog.getLevel({ level: "WARN" })).to.have.property("name", "warn");
+      expect(jsonLog.getLevel(60)).to.have.property("color", "magenta");
+      expect(jsonLog.getLevel({ level: "notice" })).to.be.undefined;
+      expect(jsonLog.getLevel({})).to.be.undefined;
+    });
+  });
+
+  describe("isAtLevel", function () {
+
+    it("should keep records at or above the level and records without one", function () {
+      expect(jsonLog.isAtLevel({ level: 40 }, "warn")).to.be.true;
+      expect(jsonLog.isAtLevel({ level: "debug" }, 30)).to.be.false;
+      expect(jsonLog.isAtLevel({ msg: "no level" }, "fatal")).to.be.true;
+      expect(jsonLog.isAtLevel({ level: 10 })).to.be.true;
+    });
+  });
+
+  describe("format", function () {
+
+    var time = new Date(2017, 0, 1, 9, 5, 30);
+
+    it("should format time, level, message and fields in columns", function () {
+      expect(jsonLog.format({
+        level: 50,
+        time: time.toISOString(),
+        msg: "request failed",
+        req: { url: "/a" },
+        err: { code: 1 }
+      }, { fields: ["req.url", "err", "missing"] })).to.equal(
+        "09:05:30 {red-fg}ERROR{/} request failed {cyan-fg}req.url={/}/a"
+        + " {cyan-fg}err={/}{open}\"code\":1{close}"
+      );
+
+      expect(jsonLog.format({ message: "no time or level" })).to.equal(
+        "               no time or level"
+      );
+    });
+
+    it("should show the whole record when expanded", function () {
+      expect(jsonLog.format({ level: 30, time: time.getTime(), msg: "hi" }, { expanded: true }))
+        .to.equal("09:05:30 {green-fg}INFO {/} hi\n{open}\n  \"level\": 30,\n  \"time\": "
+          + time.getTime() + ",\n  \"msg\": \"hi\"\n{close}");
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var _ = require("lodash");
+
+var LogWriter = require("../../lib/log-writer");
+
+describe("LogWriter", function () {
+
+  var dir;
+  var time = new Date(Date.UTC(2017, 0, 1, 9, 5, 30)).getTime();
+
+  var read = function (file) {
+    return fs.readFileSync(path.join(dir, file), "utf8");
+  };
+
+  beforeEach(function () {
+    dir = path.join(os.tmpdir(), "nodejs-dashboard-logs-" + process.pid);
+  });
+
+  describe("parseRotation", function () {
+
+    it("should parse a size and/or a duration", function () {
+      expect(LogWriter.parseRotation("10mb")).to.deep.equal({ size: 10485760 });
+      expect(LogWriter.parseRotation("1d,512KB")).to.deep.equal({
+        interval: 86400000,
+        size: 524288
+      });
+      expect(function () { LogWriter.parseRotation("10 mb"); }).to.throw(
+        "log rotation should be a size (ex: 10mb) and/or a duration (ex: 1d): 10 mb"
+      );
+    });
+  });
+
+  describe("record", function () {
+
+    afterEach(function () {
+      _.each(fs.readdirSync(dir), function (file) {
+        fs.unlinkSync(path.join(dir, file));
+      });
+      fs.rmdirSync(dir);
+    });
+
+    it("should write output and app events to a file per stream", function () {
+      var writer = new LogWriter(dir);
+      writer.record("stdout", "first\nsecond", time);
+      writer.record("stderr", "oops\n", time);
+      writer.record("metrics", { cpu: { utilization: 5 } }, time);
+      writer.record("app", { event: "exit", code: 1, signal: null }, time);
+      writer.close();
+
+      expect(fs.readdirSync(dir).sort()).to.deep.equal(["stderr.log", "stdout.log"]);
+      expect(read("stdout.log")).to.match(/^first\nsecond\n\[app\] app exited with code 1 at /);
+      expect(read("stderr.log")).to.match(/^oops\n\[app\] app exited with code 1 at /);
+    });
+
+    it("should create the directory along with its parents", function () {
+      var nested = path.join(dir, "a", "b");
+      var writer = new LogWriter(nested);
+      writer.record("stdout", "first\n", time);
+      writer.close();
+
+      expect(read(path.join("a", "b", "stdout.log"))).to.equal("first\n");
+
+      _.each(fs.readdirSync(nested), function (file) {
+        fs.unlinkSync(path.join(nested, file));
+      });
+      fs.rmdirSync(nested);
+      fs.rmdirSync(path.dirname(nested));
+    });
+
+    it("should write timestamps and metrics when asked to", function () {
+      var writer = new LogWriter(dir, { timestamps: true, metrics: true });
+      writer.record("stdout", "first\nsec", time);
+      writer.record("stdout", "ond\nthird\n", time + 1000);
+      writer.record("metrics", { cpu: { utilization: 5 } }, time);
+
+      expect(read("stdout.log")).to.equal([
+        "2017-01-01T09:05:30.000Z first",
+        "2017-01-01T09:05:30.000Z second",
+        "2017-01-01T09:05:31.000Z third",
+        ""
+      ].join("\n"));
+      expect(read("metrics.log")).to.equal(
+        "{\"time\":" + time + ",\"metrics\":{\"cpu\":{\"utilization\":5}}}\n"
+      );
+
+      writer.close();
+      writer.record("stdout", "ignored\n", time);
+      expect(read("stdout.log")).to.not.contain("ignored");
+    });
+
+    it("should rotate files by size, keeping some of them", function () {
+      var writer = new LogWriter(dir, { rotation: { size: 10 }, keep: 2 });
+      _.each(["one\n", "two\n", "three\n", "four\n", "five\n"], function (line) {
+        writer.record("stdout", line, time);
+      });
+      writer.close();
+
+      expect(read("stdout.log")).to.equal("four\nfive\n");
+      expect(read("stdout.log.1")).to.equal("three\n");
+      expect(read("stdout.log.2")).to.equal("one\ntwo\n");
+      expect(fs.existsSync(path.join(dir, "stdout.log.3"))).to.be.false;
+    });
+
+    it("should rotate files by age", function () {
+      var writer = new LogWriter(dir, { rotation: { interval: 60000 } });
+      writer.record("stderr", "one\n", time);
+      writer.record("stderr", "two\n", time + 59999);
+      writer.record("stderr", "three\n", time + 60000);
+      writer.close();
+
+      expect(read("stderr.log")).to.equal("three\n");
+      expect(read("stderr.log.1")).to.equal("one\ntwo\n");
+    });
+  });
+});
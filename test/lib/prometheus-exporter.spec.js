@@ -0,0 +1,108 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var http = require("http");
+
+var PrometheusExporter = require("../../lib/prometheus-exporter");
+var tryCatch = require("../utils").tryCatch;
+
+describe("PrometheusExporter", function () {
+
+  var exporter;
+
+  beforeEach(function (done) {
+    exporter = new PrometheusExporter({ appName: "my \"app\"" });
+    exporter.listen(0, done);
+  });
+
+  afterEach(function (done) {
+    exporter.close(done);
+  });
+
+  var get = function (path, callback) {
+    http.get({
+      host: "localhost",
+      port: exporter.server.address().port,
+      path: path
+    }, function (response) {
+      var body = "";
+      response.setEncoding("utf8");
+      response.on("data", function (chunk) {
+        body += chunk;
+      });
+      response.on("end", function () {
+        callback(response, body);
+      });
+    });
+  };
+
+  it("should format the latest metrics with the app name as a label", function () {
+    exporter.update({ cpu: { utilization: 1 } });
+    exporter.update({
+      eventLoop: { delay: 12, high: 40 },
+      cpu: { utilization: 5.5 },
+      custom: { queue: { depth: 3 }, name: "ignored" }
+    });
+
+    expect(exporter.format().split("\n")).to.deep.equal([
+      "# HELP nodejs_dashboard_event_loop_delay eventLoop.delay reported by the agent",
+      "# TYPE nodejs_dashboard_event_loop_delay gauge",
+      "nodejs_dashboard_event_loop_delay{app=\"my \\\"app\\\"\"} 12",
+      "# HELP nodejs_dashboard_event_loop_high eventLoop.high reported by the agent",
+      "# TYPE nodejs_dashboard_event_loop_high gauge",
+      "nodejs_dashboard_event_loop_high{app=\"my \\\"app\\\"\"} 40",
+      "# HELP nodejs_dashboard_cpu_utilization cpu.utilization reported by the agent",
+      "# TYPE nodejs_dashboard_cpu_utilization gauge",
+      "nodejs_dashboard_cpu_utilization{app=\"my \\\"app\\\"\"} 5.5",
+      "# HELP nodejs_dashboard_custom_queue_depth custom.queue.depth reported by the agent",
+      "# TYPE nodejs_dashboard_custom_queue_depth gauge",
+      "nodejs_dashboard_custom_queue_depth{app=\"my \\\"app\\\"\"} 3",
+      ""
+    ]);
+  });
+
+  it("should leave out metrics named like metrics before them", function () {
+    exporter.update({ custom: { requestCount: 1, "request_count": 2 } });
+
+    expect(exporter.format().split("\n")).to.deep.equal([
+      "# HELP nodejs_dashboard_custom_request_count custom.requestCount reported by the agent",
+      "# TYPE nodejs_dashboard_custom_request_count gauge",
+      "nodejs_dashboard_custom_request_count{app=\"my \\\"app\\\"\"} 1",
+      "# custom.request_count left out, custom.requestCount is named"
+        + " nodejs_dashboard_custom_request_count already",
+      ""
+    ]);
+  });
+
+  it("should serve the metrics at /metrics", function (done) {
+    exporter.update({ cpu: { utilization: 5 } });
+
+    get("/metrics", function (response, body) {
+      tryCatch(done, function () {
+        expect(response.statusCode).to.equal(200);
+        expect(response.headers["content-type"]).to.match(/^text\/plain; version=0\.0\.4/);
+        expect(body).to.contain("nodejs_dashboard_cpu_utilization{app=\"my \\\"app\\\"\"} 5\n");
+      });
+    });
+  });
+
+  it("should not serve anything else", function (done) {
+    get("/", function (response) {
+      tryCatch(done, function () {
+        expect(response.statusCode).to.equal(404);
+      });
+    });
+  });
+
+  it("should call back with the error when the port is in use", function (done) {
+    var other = new PrometheusExporter({ appName: "other" });
+
+    other.listen(exporter.server.address().port, function (err) {
+      tryCatch(done, function () {
+        expect(err).to.have.property("code", "EADDRINUSE");
+      });
+    });
+  });
+});
@@ -1,3 +1,5 @@
+/* eslint-disable max-statements, no-magic-numbers */
+
 "use strict";
 
 var expect = require("chai").expect;
@@ -33,4 +35,164 @@ describe("LogProvider", function () {
     expect(logProvider.getLog("stdout")).to.equal("a\nc");
     expect(logProvider.getLog("stderr")).to.equal("b\nd");
   });
+
+  it("should timestamp logs and get the newest lines", function () {
+    sandbox.stub(Date, "now").returns(5000);
+    logProvider._onLog("stdout", "a\n", 1000);
+    logProvider._onLog("stderr", "b\n", 2000);
+    logProvider._onLog("stdout", "c\nd\n");
+
+    expect(logProvider.getLines(["stdout"])).to.deep.equal([
+      { source: "stdout", text: "a", time: 1000 },
+      { source: "stdout", text: "c", time: 5000 },
+      { source: "stdout", text: "d", time: 5000 }
+    ]);
+    expect(logProvider.getLines(["stdout", "stderr"], { limit: 2 })).to.deep.equal([
+      { source: "stdout", text: "c", time: 5000 },
+      { source: "stdout", text: "d", time: 5000 }
+    ]);
+    expect(logProvider.getLog(["stdout", "stderr"], 3)).to.equal("b\nc\nd");
+  });
+
+  it("should get the lines logged in a time range", function () {
+    logProvider._onLog("stdout", "a\n", 1000);
+    logProvider._onLog("stderr", "b\n", 2000);
+    logProvider._onLog("stdout", "c\n", 3000);
+
+    expect(logProvider.getLines(["stdout", "stderr"], { start: 2000, end: 3000 }))
+      .to.deep.equal([{ source: "stderr", text: "b", time: 2000 }]);
+    expect(logProvider.getLines(["stdout"], { start: 1500 }))
+      .to.deep.equal([{ source: "stdout", text: "c", time: 3000 }]);
+  });
+
+  it("should join lines split across chunks", function () {
+    var onStdout = sandbox.spy();
+    logProvider.on("stdout", onStdout);
+
+    logProvider._onLog("stdout", "a", 1000);
+    logProvider._onLog("stdout", "b\r\nc", 2000);
+    expect(onStdout).to.have.been.calledOnce.and.calledWithExactly("ab\n", 1000);
+
+    logProvider._onLog("stdout", "d\n", 3000);
+    expect(onStdout).to.have.been.calledTwice.and.calledWithExactly("cd\n", 2000);
+    expect(logProvider.getLog(["stdout"])).to.equal("ab\ncd");
+  });
+
+  it("should show a line that doesn't end after a while", function () {
+    var stubSetTimeout = sandbox.stub(global, "setTimeout");
+    var onStdout = sandbox.spy();
+    logProvider.on("stdout", onStdout);
+
+    logProvider._onLog("stdout", "prompt> ", 1000);
+    expect(onStdout).to.not.have.been.called;
+    expect(stubSetTimeout).to.have.been.calledWith(sinon.match.func, 200);
+
+    stubSetTimeout.firstCall.args[0]();
+    expect(onStdout).to.have.been.calledOnce.and.calledWithExactly("prompt> \n", 1000);
+    expect(logProvider.getLog(["stdout"])).to.equal("prompt> ");
+  });
+
+  it("should keep the newest lines within the budget of each stream", function () {
+    logProvider = new LogProvider(testContainer.screen, { maxLines: 3, maxBytes: 6 });
+
+    logProvider._onLog("stdout", "a\nb\nc\nd\n");
+    logProvider._onLog("stderr", "e\n");
+    expect(logProvider.getLog(["stdout"])).to.equal("b\nc\nd");
+    expect(logProvider.getLog(["stderr"])).to.equal("e");
+
+    logProvider._onLog("stdout", "longs\n");
+    expect(logProvider.getLog(["stdout"])).to.equal("d\nlongs");
+
+    logProvider._onLog("stdout", "longer\n");
+    expect(logProvider.getLog(["stdout"])).to.equal("longer");
+  });
+
+  it("should keep more lines when a view has more scrollback", function () {
+    logProvider = new LogProvider(testContainer.screen, { maxLines: 2 });
+
+    logProvider._onLog("stdout", "a\nb\nc\n");
+    logProvider.setLimit(3);
+    logProvider._onLog("stdout", "d\n");
+    expect(logProvider.getLog(["stdout"])).to.equal("b\nc\nd");
+
+    logProvider.setLimit(1);
+    logProvider._onLog("stdout", "e\n");
+    expect(logProvider.getLog(["stdout"])).to.equal("c\nd\ne");
+  });
+
+  it("should count the lines logged and the lines matching", function () {
+    logProvider = new LogProvider(testContainer.screen, { matches: { fatal: /FATAL/ } });
+
+    logProvider._onLog("stdout", "a\nFATAL b\nc");
+    logProvider._onLog("stderr", "FATAL d\n");
+    expect(logProvider.takeLineCounts()).to.deep.equal({
+      stdout: 2,
+      stderr: 1,
+      matches: { fatal: 2 }
+    });
+
+    logProvider._onLog("stdout", "\n");
+    expect(logProvider.takeLineCounts()).to.deep.equal({
+      stdout: 1,
+      stderr: 0,
+      matches: { fatal: 0 }
+    });
+  });
+
+  it("should count errors by default", function () {
+    logProvider._onLog("stderr", "Error: bummer\n    at a (app.js:1:1)\n");
+    expect(logProvider.takeLineCounts()).to.have.deep.property("matches.error", 1);
+  });
+
+  it("should parse the matches of lines to count", function () {
+    expect(LogProvider.parseMatch("error=ERROR|FATAL")).to.deep.equal({ error: /ERROR|FATAL/ });
+    expect(LogProvider.parseMatch("eq=a=b")).to.deep.equal({ eq: /a=b/ });
+
+    expect(function () {
+      LogProvider.parseMatch("ERROR");
+    }).to.throw("log match should have format <name>=<regex>");
+    expect(function () {
+      LogProvider.parseMatch("stderr=ERROR");
+    }).to.throw("log match should have format <name>=<regex>");
+    expect(function () {
+      LogProvider.parseMatch("error=(");
+    }).to.throw("log match has an invalid regex: error=(");
+  });
+
+  it("should mark app exits and restarts in the log of every stream", function () {
+    var onMarker = sandbox.spy();
+    var exitTime = new Date(2017, 0, 1, 9, 5, 30).getTime();
+    logProvider.on("marker", onMarker);
+
+    logProvider._onApp({ event: "start", pid: 1, restarts: 0 }, exitTime - 1000);
+    logProvider._onLog("stdout", "a\n");
+    logProvider._onApp({ event: "exit", code: 1, restartDelay: 1000 }, exitTime);
+    logProvider._onLog("stderr", "b\n");
+
+    var marker = "app exited with code 1 at 09:05:30, restarting in 1s";
+    expect(logProvider.getLog(["stdout"])).to.equal("a\n" + marker);
+    expect(logProvider.getLog(["stderr"])).to.equal(marker + "\nb");
+    expect(onMarker).to.have.been.calledOnce.and.calledWithExactly(marker, exitTime);
+  });
+
+  it("should format markers for the view getting the log", function () {
+    logProvider._onLog("stdout", "a\n");
+    logProvider._onApp({ event: "start", pid: 2, restarts: 1 }, Date.now());
+
+    expect(logProvider.getLog(["stdout"], 0, function (marker) {
+      return "--- " + marker.split(" ")[1] + " ---";
+    })).to.equal("a\n--- restarted ---");
+  });
+
+  it("should expand structured log entries in views on demand", function () {
+    var onRefreshLog = sandbox.spy();
+    logProvider.on("refreshLog", onRefreshLog);
+
+    expect(logProvider.expanded).to.be.false;
+    logProvider.toggleExpanded();
+    expect(logProvider.expanded).to.be.true;
+    logProvider.toggleExpanded();
+    expect(logProvider.expanded).to.be.false;
+    expect(onRefreshLog).to.have.been.calledTwice;
+  });
 });
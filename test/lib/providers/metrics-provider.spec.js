@@ -9,6 +9,7 @@ var _ = require("lodash");
 var AGGREGATE_TIME_LEVELS = require("../../../lib/constants").AGGREGATE_TIME_LEVELS;
 
 var utils = require("../../utils");
+var LogProvider = require("../../../lib/providers/log-provider");
 var MetricsProvider = require("../../../lib/providers/metrics-provider");
 
 
@@ -91,6 +92,9 @@ describe("MetricsProvider", function () {
           .to.be.an("object")
           .that.deep.equals({
             data: [],
+            statistics: { min: [], max: [], p50: [], p95: [], p99: [] },
+            offset: 0,
+            retention: 3600,
             lastTimeIndex: undefined,
             lastAggregateIndex: 0,
             scrollOffset: 0
@@ -274,6 +278,97 @@ describe("MetricsProvider", function () {
           .that.equals(+averageB.valueB.toFixed(1));
       });
     });
+
+    it("aggregates metrics by the time they were received", function () {
+      var timeKey = AGGREGATE_TIME_LEVELS[0];
+      metricsProvider = new MetricsProvider(testContainer.screen, { startTime: 50000 });
+
+      metricsProvider._onMetrics({ cpu: { utilization: 10 } }, 50100);
+      metricsProvider._onMetrics({ cpu: { utilization: 20 } }, 52100);
+      metricsProvider._onMetrics({ cpu: { utilization: 30 } }, 53100);
+
+      expect(metricsProvider._startTime).to.equal(50000);
+      expect(metricsProvider._aggregation[timeKey].data)
+        .to.be.an("array")
+        .that.eql([
+          { cpu: { utilization: 10 } },
+          { cpu: { utilization: 0 } },
+          { cpu: { utilization: 20 } }
+        ]);
+    });
+
+    it("aggregates nested metrics and metrics that are not in every row", function () {
+      var timeKey = AGGREGATE_TIME_LEVELS[0];
+
+      mockNow += 100;
+      metricsProvider._onMetrics({ cpu: { utilization: 10 } });
+      mockNow += 100;
+      metricsProvider._onMetrics({
+        cpu: { utilization: 20 },
+        custom: { queue: { depth: 4 } }
+      });
+      mockNow += 100;
+      metricsProvider._onMetrics({
+        cpu: { utilization: 30 },
+        custom: { queue: { depth: 7 } }
+      });
+
+      // move into the next time slot to cause the average calculation
+      mockNow += +timeKey;
+      metricsProvider._onMetrics({ cpu: { utilization: 0 } });
+
+      expect(metricsProvider._aggregation[timeKey].data)
+        .to.be.an("array")
+        .that.eql([
+          {
+            cpu: { utilization: 20 },
+            custom: { queue: { depth: 5.5 } }
+          }
+        ]);
+    });
+
+    it("aggregates the min, max and percentiles of each time band", function () {
+      var timeKey = AGGREGATE_TIME_LEVELS[1];
+      metricsProvider = new MetricsProvider(testContainer.screen, { startTime: 50000 });
+
+      _.each([10, 50, 20, 40, 30], function (utilization, index) {
+        metricsProvider._onMetrics({ cpu: { utilization: utilization } }, 50100 + index * 1000);
+      });
+      metricsProvider._onMetrics({ cpu: { utilization: 0 } }, 60100);
+
+      var aggregation = metricsProvider._aggregation[timeKey];
+      expect(aggregation.data).to.eql([{ cpu: { utilization: 30 } }]);
+      expect(_.mapValues(aggregation.statistics, function (values) {
+        return _.map(values, "cpu.utilization");
+      })).to.eql({
+        min: [10],
+        max: [50],
+        p50: [30],
+        p95: [50],
+        p99: [50]
+      });
+
+      metricsProvider.setZoomLevel(1);
+      expect(metricsProvider.getMetrics(10, "max")).to.eql([{ cpu: { utilization: 50 } }]);
+      expect(metricsProvider.getMetrics(10)).to.eql(aggregation.data)
+        .and.eql(metricsProvider.getMetrics(10, "average"));
+    });
+
+    it("emits every aggregate with its level and slot", function () {
+      var timeKey = AGGREGATE_TIME_LEVELS[0];
+      var onAggregate = sandbox.spy();
+      metricsProvider = new MetricsProvider(testContainer.screen, { startTime: 50000 });
+      metricsProvider.on("aggregate", onAggregate);
+
+      metricsProvider._onMetrics({ cpu: { utilization: 10 } }, 50100);
+      metricsProvider._onMetrics({ cpu: { utilization: 20 } }, 52100);
+      metricsProvider._onMetrics({ cpu: { utilization: 30 } }, 53100);
+
+      expect(onAggregate).to.have.been.calledThrice
+        .and.calledWithExactly({ cpu: { utilization: 10 } }, timeKey, 0)
+        .and.calledWithExactly({ cpu: { utilization: 0 } }, timeKey, 1)
+        .and.calledWithExactly({ cpu: { utilization: 20 } }, timeKey, 2);
+    });
   });
 
   describe("adjustZoomLevel", function () {
@@ -359,6 +454,147 @@ describe("MetricsProvider", function () {
     });
   });
 
+  describe("getRestartMarkers", function () {
+    it("marks the time slots of the metrics in which the app restarted", function () {
+      var timeKey = AGGREGATE_TIME_LEVELS[0];
+      metricsProvider = new MetricsProvider(testContainer.screen, { startTime: 50000 });
+
+      metricsProvider._onMetrics({ cpu: { utilization: 10 } }, 50100);
+      metricsProvider._onApp({ event: "start", pid: 1, restarts: 0 }, 50200);
+      metricsProvider._onApp({ event: "start", pid: 2, restarts: 1 }, 52500);
+      metricsProvider._onMetrics({ cpu: { utilization: 20 } }, 52600);
+      metricsProvider._onMetrics({ cpu: { utilization: 30 } }, 53100);
+      metricsProvider._onMetrics({ cpu: { utilization: 30 } }, 54100);
+
+      expect(metricsProvider._aggregation[timeKey].data).to.have.length(4);
+      expect(metricsProvider.getRestartMarkers(10)).to.deep.equal([false, false, true, false]);
+      expect(metricsProvider.getRestartMarkers(2)).to.deep.equal([true, false]);
+    });
+  });
+
+  describe("retention", function () {
+    it("parses the retention of aggregation levels", function () {
+      expect(MetricsProvider.parseRetention("1s=1h,1m=7d,1h=0.5w")).to.deep.equal({
+        1000: 3600000,
+        60000: 604800000,
+        3600000: 302400000
+      });
+
+      expect(function () {
+        MetricsProvider.parseRetention("2s=1h");
+      }).to.throw("where level is one of 1s, 5s, 10s, 15s, 30s, 1m, 5m, 10m, 15m, 30m, 1h: 2s=1h");
+      expect(function () {
+        MetricsProvider.parseRetention("1s");
+      }).to.throw("retention should have format <level>=<duration>");
+      expect(function () {
+        MetricsProvider.parseRetention("1s=forever");
+      }).to.throw("duration should be a number followed by w, d, h, m, s or ms: forever");
+    });
+
+    it("keeps the time slots of each aggregation level for its retention", function () {
+      var timeKey = AGGREGATE_TIME_LEVELS[0];
+      var onAggregate = sandbox.spy();
+      metricsProvider = new MetricsProvider(testContainer.screen, {
+        startTime: 50000,
+        retention: { 1000: 3500 }
+      });
+      metricsProvider.on("aggregate", onAggregate);
+
+      _.each([10, 20, 30, 40, 50, 60], function (utilization, index) {
+        metricsProvider._onMetrics({ cpu: { utilization: utilization } }, 50100 + index * 1000);
+      });
+
+      var aggregation = metricsProvider._aggregation[timeKey];
+      expect(aggregation.retention).to.equal(3);
+      expect(aggregation.offset).to.equal(2);
+      expect(_.map(aggregation.data, "cpu.utilization")).to.deep.equal([30, 40, 50]);
+      expect(_.map(aggregation.statistics.max, "cpu.utilization")).to.deep.equal([30, 40, 50]);
+      expect(onAggregate).to.have.been.calledWithExactly({ cpu: { utilization: 50 } }, timeKey, 4);
+      expect(_.map(metricsProvider.getMetrics(10), "cpu.utilization")).to.deep.equal([30, 40, 50]);
+
+      // the other levels keep their default retention
+      expect(metricsProvider._aggregation[AGGREGATE_TIME_LEVELS[1]].retention).to.equal(3600);
+    });
+
+    it("forgets the metrics received once every level aggregated them", function () {
+      var maxZoomLevel = +AGGREGATE_TIME_LEVELS[AGGREGATE_TIME_LEVELS.length - 1];
+
+      fill(3, 1000);
+      expect(metricsProvider._metrics).to.have.length(3);
+
+      var mockMetrics = fill(2, maxZoomLevel);
+      expect(metricsProvider._metrics).to.deep.equal([mockMetrics[1]]);
+      expect(metricsProvider._lastAggregationIndex).to.equal(1);
+      expect(_.map(metricsProvider._aggregation, "lastAggregateIndex"))
+        .to.deep.equal(_.times(AGGREGATE_TIME_LEVELS.length, _.constant(0)));
+
+      fill(1, 1000);
+      expect(metricsProvider._metrics).to.have.length(2);
+      // the hours of 1s time slots filled in are capped by the default retention
+      expect(metricsProvider._aggregation[AGGREGATE_TIME_LEVELS[0]].data).to.have.length(3600);
+    });
+
+    it("marks restarts within the time slots retained", function () {
+      metricsProvider = new MetricsProvider(testContainer.screen, {
+        startTime: 50000,
+        retention: { 1000: 2000 }
+      });
+
+      metricsProvider._onMetrics({ cpu: { utilization: 10 } }, 50100);
+      metricsProvider._onApp({ event: "start", pid: 2, restarts: 1 }, 52500);
+      _.each([52600, 53100, 54100], function (receivedTime) {
+        metricsProvider._onMetrics({ cpu: { utilization: 20 } }, receivedTime);
+      });
+
+      expect(metricsProvider.getRestartMarkers(10)).to.deep.equal([true, false]);
+    });
+
+    it("forgets restarts older than the time slots retained by every level", function () {
+      metricsProvider = new MetricsProvider(testContainer.screen, {
+        startTime: 50000,
+        retention: _.reduce(AGGREGATE_TIME_LEVELS, function (prev, timeLevel) {
+          prev[timeLevel] = 2 * timeLevel;
+          return prev;
+        }, {})
+      });
+      var maxZoomLevel = +AGGREGATE_TIME_LEVELS[AGGREGATE_TIME_LEVELS.length - 1];
+
+      metricsProvider._onApp({ event: "start", pid: 2, restarts: 1 }, 50500);
+      metricsProvider._onMetrics({ cpu: { utilization: 10 } }, 50600);
+      expect(metricsProvider._restartTimes).to.deep.equal([50500]);
+
+      // the first restart is forgotten once its time slots expired at every level
+      metricsProvider._onApp({ event: "start", pid: 3, restarts: 2 }, 50000 + 3 * maxZoomLevel);
+      metricsProvider._onMetrics({ cpu: { utilization: 10 } }, 50100 + 3 * maxZoomLevel);
+      metricsProvider._onMetrics({ cpu: { utilization: 10 } }, 50100 + 4 * maxZoomLevel);
+      expect(metricsProvider._restartTimes).to.deep.equal([50000 + 3 * maxZoomLevel]);
+    });
+
+    it("goes to times retained by coarser aggregation levels only", function () {
+      metricsProvider = new MetricsProvider(testContainer.screen, {
+        startTime: 50000,
+        retention: { 1000: 5000 }
+      });
+
+      _.times(30, function (index) {
+        metricsProvider._onMetrics({ cpu: { utilization: index } }, 50100 + index * 1000);
+      });
+
+      // 5 1s slots and 5 5s slots are retained
+      expect(metricsProvider.getAvailableTimeRange().maxTime).to.deep.equal({
+        label: ":20",
+        value: 20000
+      });
+
+      metricsProvider.gotoTimeValue(3000);
+      expect(metricsProvider.zoomLevel).to.equal(0);
+
+      metricsProvider.gotoTimeValue(15000);
+      expect(metricsProvider.zoomLevel).to.equal(1);
+      expect(metricsProvider.gotoOffset).to.equal(-3);
+    });
+  });
+
   describe("getXAxis", function () {
     it("should return labels appropriate for their highest measure of time", function () {
       var limit = 10;
@@ -412,6 +648,67 @@ describe("MetricsProvider", function () {
     });
   });
 
+  describe("time axis", function () {
+    var startTime = Date.UTC(2017, 5, 1, 14, 0, 0);
+
+    var fillFromStart = function (timeAxis) {
+      metricsProvider = new MetricsProvider(testContainer.screen, {
+        startTime: startTime,
+        timeAxis: timeAxis
+      });
+
+      _.times(30, function (index) {
+        metricsProvider._onMetrics({ cpu: { utilization: index } }, startTime + 100 + index * 1000);
+      });
+    };
+
+    it("rejects unknown time axes", function () {
+      expect(function () {
+        metricsProvider = new MetricsProvider(testContainer.screen, { timeAxis: "gmt" });
+      }).to.throw("Unknown time axis 'gmt', expected one of elapsed, local, utc");
+    });
+
+    it("labels the x-axis with the wall clock time of each time slot", function () {
+      fillFromStart("utc");
+
+      expect(metricsProvider.isWallClock()).to.be.true;
+      expect(metricsProvider.getXAxis(3)).to.deep.equal(["14:00:26", "14:00:27", "14:00:28"]);
+      expect(_.take(metricsProvider.getXAxis(31), 3)).to.deep.equal(["", "", "14:00:00"]);
+
+      metricsProvider.adjustScrollOffset(-10);
+      metricsProvider.getMetrics(3);
+      expect(metricsProvider.getXAxis(3)).to.deep.equal(["14:00:16", "14:00:17", "14:00:18"]);
+    });
+
+    it("goes to wall clock times and ISO timestamps", function () {
+      fillFromStart("utc");
+
+      expect(metricsProvider.getAvailableTimeRange()).to.deep.equal({
+        minTime: { label: "14:00:28", value: 0 },
+        maxTime: { label: "14:00:00", value: 28000 }
+      });
+      expect(metricsProvider.validateTimeLabel("14:00:20")).to.equal(8000);
+      expect(metricsProvider.validateTimeLabel("2017-06-01T14:00:05Z")).to.equal(23000);
+      expect(function () {
+        metricsProvider.validateTimeLabel("13:59");
+      }).to.throw("Enter a time value between 14:00:00 and 14:00:28");
+      expect(function () {
+        metricsProvider.validateTimeLabel("14:60");
+      }).to.throw("Enter a valid time value");
+    });
+
+    it("goes to elapsed times and ISO timestamps by default", function () {
+      fillFromStart();
+
+      expect(metricsProvider.isWallClock()).to.be.false;
+      expect(metricsProvider.validateTimeLabel(":08")).to.equal(8000);
+      expect(metricsProvider.validateTimeLabel("2017-06-01T14:00:05Z")).to.equal(23000);
+      expect(function () {
+        metricsProvider.validateTimeLabel("1:00");
+      }).to.throw("Enter a time value between :00 and :28");
+    });
+  });
+
   describe("adjustScrollOffset", function () {
     it("adjusts the scroll either relative or absolute", function () {
       // add some data
@@ -524,6 +821,107 @@ describe("MetricsProvider", function () {
     });
   });
 
+  describe("cycleStatistic", function () {
+    it("graphs every statistic in turn", function () {
+      var onRefreshMetrics = sandbox.spy();
+      metricsProvider.on("refreshMetrics", onRefreshMetrics);
+
+      var statistics = _.times(MetricsProvider.STATISTICS.length, function () {
+        metricsProvider.cycleStatistic();
+        return metricsProvider.statistic;
+      });
+
+      expect(statistics).to.eql(["min", "max", "p50", "p95", "p99", "average"]);
+      expect(onRefreshMetrics).to.have.callCount(6);
+
+      metricsProvider.cycleStatistic();
+      metricsProvider.resetGraphs();
+      expect(metricsProvider.statistic).to.be.undefined;
+    });
+  });
+
+  describe("cursor", function () {
+    it("moves within the time slots of the current zoom", function () {
+      var onCursor = sandbox.spy();
+      metricsProvider.on("cursor", onCursor);
+      fill(5, 1000);
+
+      // there is nothing to move until the cursor is shown
+      metricsProvider.moveCursor(-1);
+      expect(metricsProvider.cursor).to.be.undefined;
+
+      metricsProvider.toggleCursor();
+      expect(metricsProvider.cursor).to.equal(0);
+
+      metricsProvider.moveCursor(-3);
+      expect(metricsProvider.cursor).to.equal(3);
+      metricsProvider.moveCursor(-3);
+      expect(metricsProvider.cursor).to.equal(4);
+      metricsProvider.moveCursor(9);
+      expect(metricsProvider.cursor).to.equal(0);
+
+      metricsProvider.toggleCursor();
+      expect(metricsProvider.cursor).to.be.undefined;
+      expect(_.map(onCursor.args, 0)).to.deep.equal([0, 3, 4, 0, undefined]);
+
+      metricsProvider.toggleCursor();
+      metricsProvider.resetGraphs();
+      expect(metricsProvider.cursor).to.be.undefined;
+    });
+  });
+
+  describe("timeWindow", function () {
+    it("follows the cursor, scrolling and going to a time, until reset", function () {
+      var onTimeWindow = sandbox.spy();
+      metricsProvider.on("timeWindow", onTimeWindow);
+      fill(5, 1000);
+
+      metricsProvider.toggleCursor();
+      metricsProvider.moveCursor(-2);
+      metricsProvider.toggleCursor();
+      metricsProvider.adjustScrollOffset(-1);
+      metricsProvider.adjustScrollOffset(0);
+      metricsProvider.resetGraphs();
+      metricsProvider.gotoTimeValue(3000);
+
+      expect(_.map(onTimeWindow.args, 0)).to.deep.equal([
+        { start: mockStart + 4000, end: mockStart + 5000 },
+        { start: mockStart + 2000, end: mockStart + 3000 },
+        null,
+        { start: mockStart + 3000, end: mockStart + 4000 },
+        null,
+        { start: mockStart + 1000, end: mockStart + 2000 }
+      ]);
+      expect(metricsProvider.timeWindow).to.deep.equal(_.last(onTimeWindow.args)[0]);
+    });
+  });
+
+  describe("log metrics", function () {
+    it("adds the rates of lines logged since the previous metrics", function () {
+      var logProvider = new LogProvider(testContainer.screen, { matches: { fatal: /FATAL/ } });
+      var onMetrics = sandbox.spy();
+      metricsProvider = new MetricsProvider(testContainer.screen, { logProvider: logProvider });
+      metricsProvider.on("metrics", onMetrics);
+
+      logProvider._onLog("stdout", "a\nb\nFATAL c\n");
+      logProvider._onLog("stderr", "d\n");
+      metricsProvider._onMetrics({ cpu: { utilization: 1 } }, mockStart + 2000);
+      logProvider._onLog("stderr", "FATAL e\n");
+      metricsProvider._onMetrics({ cpu: { utilization: 2 } }, mockStart + 2500);
+
+      expect(_.map(onMetrics.args, 0)).to.deep.equal([
+        {
+          cpu: { utilization: 1 },
+          log: { stdout: 1.5, stderr: 0.5, matches: { fatal: 0.5 } }
+        },
+        {
+          cpu: { utilization: 2 },
+          log: { stdout: 0, stderr: 2, matches: { fatal: 2 } }
+        }
+      ]);
+    });
+  });
+
   describe("resetGraphs", function () {
     it("resets zoom level and scroll offsets", function () {
       sandbox.stub(metricsProvider, "setZoomLevel", function (zoom) {
@@ -0,0 +1,46 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var Recorder = require("../../lib/recorder");
+
+describe("Recorder", function () {
+
+  var file;
+
+  beforeEach(function () {
+    file = path.join(os.tmpdir(), "nodejs-dashboard-recorder-" + process.pid + ".ndjson");
+  });
+
+  afterEach(function () {
+    fs.unlinkSync(file);
+  });
+
+  it("should write events as lines of JSON, replacing a previous recording", function () {
+    fs.writeFileSync(file, "{\"time\":1,\"type\":\"stdout\",\"data\":\"before\\n\"}\n");
+
+    var recorder = new Recorder(file);
+    recorder.record("metrics", { cpu: { utilization: 5 } }, 1000);
+    recorder.record("stderr", "oops\n", 2000);
+    recorder.close();
+
+    expect(fs.readFileSync(file, "utf8").split("\n")).to.deep.equal([
+      "{\"time\":1000,\"type\":\"metrics\",\"data\":{\"cpu\":{\"utilization\":5}}}",
+      "{\"time\":2000,\"type\":\"stderr\",\"data\":\"oops\\n\"}",
+      ""
+    ]);
+  });
+
+  it("should ignore events once closed", function () {
+    var recorder = new Recorder(file);
+    recorder.close();
+    recorder.record("stdout", "ignored\n", 1000);
+
+    expect(fs.readFileSync(file, "utf8")).to.equal("");
+  });
+});
@@ -0,0 +1,129 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var sinon = require("sinon");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var Replayer = require("../../lib/replayer");
+
+describe("Replayer", function () {
+
+  var sandbox;
+  var file;
+  var dashboard;
+  var events;
+
+  before(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  beforeEach(function () {
+    file = path.join(os.tmpdir(), "nodejs-dashboard-replayer-" + process.pid + ".ndjson");
+    events = [
+      { time: 5000, type: "metrics", data: { cpu: { utilization: 1 } } },
+      { time: 5500, type: "stdout", data: "hello\n" },
+      { time: 6000, type: "metrics", data: { cpu: { utilization: 2 } } }
+    ];
+    fs.writeFileSync(file, events.map(JSON.stringify).join("\n") + "\n\n");
+
+    dashboard = {
+      onEvent: sandbox.spy(),
+      screen: {
+        render: sandbox.spy()
+      }
+    };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+    fs.unlinkSync(file);
+  });
+
+  it("should load the recording and start the timeline at the first event", function () {
+    var replayer = new Replayer(file, 1);
+
+    expect(replayer.events).to.deep.equal(events);
+    expect(replayer.startTime).to.equal(5000);
+  });
+
+  it("should fail on invalid recordings", function () {
+    fs.appendFileSync(file, "not json\n");
+
+    expect(function () {
+      new Replayer(file, 1); // eslint-disable-line no-new
+    }).to.throw("Invalid recording " + file + " at line 5");
+  });
+
+  describe("start", function () {
+
+    var now;
+    var scheduledAt;
+
+    // fake timers are not used, as they would change the timer ids of other tests
+    var tick = function (ms) {
+      var pending = setTimeout.lastCall;
+
+      now += ms;
+      if (pending && now >= scheduledAt + pending.args[1]) {
+        pending.args[0]();
+      }
+    };
+
+    beforeEach(function () {
+      now = 100000;
+      sandbox.stub(Date, "now", function () { return now; });
+      sandbox.stub(global, "setTimeout", function () {
+        scheduledAt = now;
+      });
+      sandbox.stub(global, "clearTimeout");
+    });
+
+    it("should replay events at the speed requested", function () {
+      var done = sandbox.spy();
+      var replayer = new Replayer(file, 2);
+
+      replayer.start(dashboard, done);
+      expect(dashboard.onEvent).to.have.been.calledOnce
+        .and.calledWithExactly(events[0]);
+      expect(setTimeout.lastCall.args[1]).to.equal(250);
+
+      tick(249);
+      expect(dashboard.onEvent).to.have.been.calledOnce;
+
+      tick(1);
+      expect(dashboard.onEvent).to.have.been.calledTwice
+        .and.calledWithExactly(events[1]);
+
+      tick(250);
+      expect(dashboard.onEvent).to.have.been.calledThrice
+        .and.calledWithExactly(events[2]);
+      expect(done).to.have.been.calledOnce;
+    });
+
+    it("should replay events instantly without rendering each one", function () {
+      var done = sandbox.spy();
+      var replayer = new Replayer(file, "instant");
+
+      replayer.start(dashboard, done);
+
+      expect(dashboard.onEvent).to.have.been.calledThrice;
+      expect(dashboard.onEvent.alwaysCalledWith(sinon.match.object, true)).to.be.true;
+      expect(dashboard.screen.render).to.have.been.calledOnce;
+      expect(done).to.have.been.calledOnce;
+    });
+
+    it("should stop replaying", function () {
+      var replayer = new Replayer(file, 1);
+
+      replayer.start(dashboard);
+      replayer.stop();
+
+      expect(clearTimeout).to.have.been.calledOnce;
+      expect(replayer._timeout).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var sinon = require("sinon");
+
+var AlertsView = require("../../../lib/views/alerts-view");
+var BaseView = require("../../../lib/views/base-view");
+var utils = require("../../utils");
+var MetricsProvider = require("../../../lib/providers/metrics-provider");
+
+describe("AlertsView", function () {
+
+  var sandbox;
+  var testContainer;
+  var options;
+
+  before(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  beforeEach(function () {
+    utils.stubWidgets(sandbox);
+    testContainer = utils.getTestContainer(sandbox);
+    options = {
+      parent: testContainer,
+      metricsProvider: new MetricsProvider(testContainer.screen, {
+        alerts: [{ metric: "cpu.utilization", comparator: ">", threshold: 90 }]
+      }),
+      layoutConfig: {
+        getPosition: sandbox.stub().returns({ left: "75%" })
+      }
+    };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe("constructor", function () {
+
+    it("should create a box showing there are no alerts", function () {
+      var view = new AlertsView(options);
+
+      expect(view).to.be.an.instanceof(BaseView);
+      expect(view.node).to.have.deep.property("options.label", " alerts ");
+      expect(view.node.setContent).to.have.been.calledWithExactly("No alerts");
+    });
+  });
+
+  describe("refreshContent", function () {
+
+    it("should list active and resolved alerts, newest first", function () {
+      var view = new AlertsView(options);
+      var start = new Date(2017, 0, 1, 9, 5, 30).getTime();
+
+      options.metricsProvider._onMetrics({ cpu: { utilization: 95 } }, start);
+      options.metricsProvider._onMetrics({ cpu: { utilization: 5 } }, start + 1000);
+      options.metricsProvider._onMetrics({ cpu: { utilization: 99 } }, start + 61000);
+
+      expect(view.node.setContent.lastCall.args[0].split("\n")).to.deep.equal([
+        "{red-fg}{bold}ACTIVE  {/}  09:06:31           cpu.utilization > 90 (99)",
+        "{green-fg}RESOLVED{/}  09:05:30-09:05:31  cpu.utilization > 90 (95)"
+      ]);
+    });
+  });
+
+  describe("destroy", function () {
+
+    it("should stop listening for alerts", function () {
+      var view = new AlertsView(options);
+      var metricsProvider = options.metricsProvider;
+      view.destroy();
+
+      expect(metricsProvider.listeners("alert")).to.be.empty;
+    });
+  });
+});
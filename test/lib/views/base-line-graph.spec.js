@@ -150,6 +150,22 @@ describe("BaseLineGraph", function () {
       expect(baseGraph.node.setLabel).to.have.been.calledWith(" graph A (2), high (4) ");
     });
 
+    it("should move wall clock labels along with the data", function () {
+      options.layoutConfig.view.limit = 2;
+      options.metricsProvider = new MetricsProvider(testContainer.screen, {
+        startTime: Date.UTC(2017, 5, 1, 14, 0, 0),
+        timeAxis: "utc"
+      });
+      var baseGraph = new BaseLineGraph(options);
+      expect(baseGraph).to.have.deep.property("series.a.x").that.deep.equals(["", ""]);
+
+      sandbox.stub(options.metricsProvider, "getXAxis").returns(["14:00:00", "14:00:01"]);
+      baseGraph.update({ a: 2 });
+      expect(options.metricsProvider.getXAxis).to.have.been.calledWithExactly(2);
+      expect(baseGraph).to.have.deep.property("series.a.x")
+        .that.deep.equals(["14:00:00", "14:00:01"]);
+    });
+
     it("should update series without exceeding limit", function () {
       options.layoutConfig.view.limit = 3;
       options.series.high = {
@@ -187,4 +203,198 @@ describe("BaseLineGraph", function () {
       expect(testContainer.append).to.have.been.calledOnce.and.calledWithExactly(baseGraph.node);
     });
   });
+
+  describe("statistics", function () {
+
+    /* eslint-disable no-magic-numbers */
+
+    var TestGraph = function TestGraph(graphOptions) {
+      BaseLineGraph.call(this, graphOptions);
+    };
+
+    TestGraph.prototype = Object.create(BaseLineGraph.prototype);
+
+    TestGraph.prototype.onRefreshMetrics = function () {
+      this.refresh(function (rows) {
+        return _.map(rows, function (row) { return { a: row.value }; });
+      });
+    };
+
+    beforeEach(function () {
+      options.layoutConfig.view.limit = 4;
+      sandbox.stub(BaseLineGraph.prototype, "onEvent");
+      sandbox.spy(TestGraph.prototype, "onRefreshMetrics");
+      sandbox.stub(options.metricsProvider, "getMetrics", function (limit, statistic) {
+        return statistic === "max"
+          ? [{ value: 9 }, { value: 7 }]
+          : [{ value: 3 }, { value: 5 }];
+      });
+    });
+
+    it("should graph the statistic of the layout config from the aggregates", function () {
+      options.layoutConfig.view.statistic = "p95";
+      var baseGraph = new TestGraph(options);
+
+      expect(options.metricsProvider.getMetrics).to.have.been.calledWithExactly(4, "p95");
+      expect(baseGraph).to.have.deep.property("series.a.y").that.deep.equals([0, 0, 3, 5]);
+      expect(baseGraph.node.setLabel).to.have.been.calledWith(" graph A [p95] (5) ");
+
+      options.metricsProvider.emit("metrics", { value: 1 });
+      expect(TestGraph.prototype.onRefreshMetrics).to.have.been.calledTwice;
+      expect(BaseLineGraph.prototype.onEvent).to.not.have.been.called;
+    });
+
+    it("should graph the statistic set for every graph", function () {
+      options.layoutConfig.view.statistic = "p95";
+      options.metricsProvider.statistic = "min";
+      var baseGraph = new TestGraph(options);
+
+      expect(baseGraph.getStatistic()).to.equal("min");
+      expect(options.metricsProvider.getMetrics).to.have.been.calledWithExactly(4, "min");
+    });
+
+    it("should update averages on events", function () {
+      var baseGraph = new TestGraph(options);
+
+      expect(baseGraph.getStatistic()).to.equal("average");
+      options.metricsProvider.emit("metrics", { value: 1 });
+      expect(BaseLineGraph.prototype.onEvent).to.have.been.calledWith({ value: 1 });
+      expect(TestGraph.prototype.onRefreshMetrics).to.not.have.been.called;
+    });
+
+    it("should overlay the max band once zoomed out", function () {
+      options.metricsProvider.setZoomLevel(1);
+      var baseGraph = new TestGraph(options);
+
+      var data = baseGraph.node.setData.lastCall.args[0];
+      expect(data).to.have.length(2);
+      expect(data[0]).to.have.property("y").that.deep.equals([0, 0, 9, 7]);
+      expect(data[0]).to.have.deep.property("style.line", "blue");
+      expect(data[1]).to.equal(baseGraph.series.a);
+      expect(baseGraph.series.a.y).to.deep.equal([0, 0, 3, 5]);
+    });
+
+    it("should not overlay the max band when disabled or graphing the max", function () {
+      options.metricsProvider.setZoomLevel(1);
+      options.layoutConfig.view.maxBand = false;
+      var baseGraph = new TestGraph(options);
+
+      expect(TestGraph.prototype.onRefreshMetrics).to.not.have.been.called;
+
+      options.layoutConfig.view.maxBand = true;
+      options.layoutConfig.view.statistic = "max";
+      baseGraph = new TestGraph(options);
+
+      expect(baseGraph.node.setData.lastCall.args[0]).to.deep.equal([baseGraph.series.a]);
+    });
+
+    /* eslint-enable no-magic-numbers */
+  });
+
+  describe("restart markers", function () {
+
+    /* eslint-disable no-magic-numbers */
+
+    it("should mark restarts of the app with a spike as high as the graph", function () {
+      options.layoutConfig.view.limit = 4;
+      var baseGraph = new BaseLineGraph(options);
+      sandbox.stub(options.metricsProvider, "getRestartMarkers").returns([false, true, false]);
+
+      baseGraph.update({ a: 5 });
+      baseGraph.update({ a: 8 });
+
+      var data = baseGraph.node.setData.lastCall.args[0];
+      expect(data).to.have.length(2);
+      expect(data[0]).to.equal(baseGraph.series.a);
+      expect(data[1]).to.have.property("y").that.deep.equals([0, 0, 8, 0]);
+      expect(data[1]).to.have.deep.property("style.line", "white");
+    });
+
+    it("should not add the marker series without restarts", function () {
+      var baseGraph = new BaseLineGraph(options);
+
+      baseGraph.update({ a: 5 });
+      expect(baseGraph.node.setData.lastCall.args[0]).to.deep.equal([baseGraph.series.a]);
+    });
+
+    /* eslint-enable no-magic-numbers */
+  });
+
+  describe("cursor", function () {
+
+    /* eslint-disable no-magic-numbers */
+
+    it("should mark the cursor and show the values and time at it", function () {
+      options.layoutConfig.view.limit = 4;
+      options.layoutConfig.view.title = "cpu";
+      var baseGraph = new BaseLineGraph(options);
+      baseGraph.update({ a: 5 });
+      baseGraph.update({ a: 8 });
+
+      options.metricsProvider.cursor = 1;
+      options.metricsProvider.emit("cursor", 1);
+
+      expect(baseGraph.getCursorIndex()).to.equal(2);
+      expect(baseGraph.node.setLabel).to.have.been.calledWith(" cpu (5) at :01 ");
+      var data = baseGraph.node.setData.lastCall.args[0];
+      expect(data).to.have.length(2);
+      expect(data[1]).to.have.property("y").that.deep.equals([0, 0, 8, 0]);
+      expect(data[1]).to.have.deep.property("style.line", "yellow");
+    });
+
+    it("should keep the cursor at the first column of narrower graphs until hidden", function () {
+      options.layoutConfig.view.limit = 4;
+      options.layoutConfig.view.title = "cpu";
+      var baseGraph = new BaseLineGraph(options);
+      baseGraph.update({ a: 8 });
+
+      options.metricsProvider.cursor = 9;
+      expect(baseGraph.getCursorIndex()).to.equal(0);
+
+      options.metricsProvider.cursor = undefined;
+      options.metricsProvider.emit("cursor");
+      expect(baseGraph.node.setLabel).to.have.been.calledWith(" cpu (8) ");
+      expect(baseGraph.node.setData.lastCall.args[0]).to.deep.equal([baseGraph.series.a]);
+    });
+
+    /* eslint-enable no-magic-numbers */
+  });
+
+  describe("alerts", function () {
+
+    /* eslint-disable no-magic-numbers */
+
+    it("should color the border while an alert on the view is active", function () {
+      options.layoutConfig.view.type = "cpu";
+      options.layoutConfig.view.borderColor = "cyan";
+      options.metricsProvider = new MetricsProvider(testContainer.screen, {
+        alerts: [{ metric: "cpu.utilization", comparator: ">", threshold: 90 }]
+      });
+      sandbox.stub(BaseLineGraph.prototype, "onEvent");
+      var baseGraph = new BaseLineGraph(options);
+
+      expect(baseGraph.node.style.border.fg).to.equal("cyan");
+
+      options.metricsProvider._onMetrics({ cpu: { utilization: 95 } });
+      expect(baseGraph.node.style.border.fg).to.equal("red");
+
+      options.metricsProvider._onMetrics({ cpu: { utilization: 5 } });
+      expect(baseGraph.node.style.border.fg).to.equal("cyan");
+    });
+
+    it("should ignore alerts on other views", function () {
+      options.layoutConfig.view.type = "eventLoop";
+      options.layoutConfig.view.borderColor = "cyan";
+      options.metricsProvider = new MetricsProvider(testContainer.screen, {
+        alerts: [{ metric: "cpu.utilization", comparator: ">", threshold: 90 }]
+      });
+      sandbox.stub(BaseLineGraph.prototype, "onEvent");
+      var baseGraph = new BaseLineGraph(options);
+
+      options.metricsProvider._onMetrics({ cpu: { utilization: 95 } });
+      expect(baseGraph.node.style.border.fg).to.equal("cyan");
+    });
+
+    /* eslint-enable no-magic-numbers */
+  });
 });
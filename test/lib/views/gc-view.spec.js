@@ -0,0 +1,69 @@
+"use strict";
+
+var expect = require("chai").expect;
+var sinon = require("sinon");
+
+var BaseLineGraph = require("../../../lib/views/base-line-graph");
+var GcView = require("../../../lib/views/gc-view");
+var utils = require("../../utils");
+var MetricsProvider = require("../../../lib/providers/metrics-provider");
+
+describe("GcView", function () {
+
+  var sandbox;
+  var testContainer;
+  var options;
+
+  before(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  beforeEach(function () {
+    utils.stubWidgets(sandbox);
+    testContainer = utils.getTestContainer(sandbox);
+    options = {
+      parent: testContainer,
+      metricsProvider: new MetricsProvider(testContainer.screen),
+      layoutConfig: {
+        limit: 10,
+        getPosition: sandbox.stub().returns({ left: "75%" })
+      }
+    };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe("constructor", function () {
+
+    it("should inherit from BaseLineGraph, with gc graph options", function () {
+      var gc = new GcView(options);
+      expect(gc).to.be.an.instanceof(GcView);
+      expect(gc).to.be.an.instanceof(BaseLineGraph);
+
+      expect(gc).to.have.property("label", " garbage collection ");
+      expect(gc).to.have.property("unit", "ms");
+      expect(gc).to.have.property("series").that.has.keys("pause");
+    });
+  });
+
+  describe("onEvent", function () {
+
+    it("should call update with formatted gc pause time", function () {
+      var gc = new GcView(options);
+      sandbox.spy(gc, "update");
+
+      gc.onEvent({ gc: { pause: 12.345 } });
+      expect(gc.update).to.have.been.calledOnce.and.calledWithExactly({ pause: 12.3 });
+    });
+
+    it("should use zero pause time when gc metrics are not reported", function () {
+      var gc = new GcView(options);
+      sandbox.spy(gc, "update");
+
+      gc.onEvent({});
+      expect(gc.update).to.have.been.calledOnce.and.calledWithExactly({ pause: 0 });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var sinon = require("sinon");
+
+var BaseLineGraph = require("../../../lib/views/base-line-graph");
+var GraphView = require("../../../lib/views/graph-view");
+var utils = require("../../utils");
+var MetricsProvider = require("../../../lib/providers/metrics-provider");
+
+describe("GraphView", function () {
+
+  var sandbox;
+  var testContainer;
+  var options;
+
+  before(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  beforeEach(function () {
+    utils.stubWidgets(sandbox);
+    testContainer = utils.getTestContainer(sandbox);
+    options = {
+      parent: testContainer,
+      metricsProvider: new MetricsProvider(testContainer.screen),
+      layoutConfig: {
+        getPosition: sandbox.stub().returns({ left: "75%" }),
+        view: {
+          type: "graph",
+          title: "queue",
+          unit: "ms",
+          limit: 10,
+          series: [
+            { path: "custom.queue.depth", label: "depth", color: "green", unit: "" },
+            { expression: "mem.heapUsed / mem.heapTotal * 100", unit: "%" },
+            { path: "custom.queue.wait", scale: 0.001, highwater: true }
+          ]
+        }
+      }
+    };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe("constructor", function () {
+
+    it("should inherit from BaseLineGraph, with series from layout config", function () {
+      var graph = new GraphView(options);
+      expect(graph).to.be.an.instanceof(GraphView);
+      expect(graph).to.be.an.instanceof(BaseLineGraph);
+
+      expect(graph).to.have.property("label", " queue ");
+      expect(graph).to.have.property("unit", "ms");
+      expect(graph).to.have.property("series").that.has.keys("0", "1", "2");
+      expect(graph).to.have.deep.property("series.0.style.line", "green");
+      expect(graph).to.have.deep.property("seriesOptions.1.label",
+        "mem.heapUsed / mem.heapTotal * 100");
+    });
+
+    it("should require series", function () {
+      delete options.layoutConfig.view.series;
+      expect(function () {
+        new GraphView(options); // eslint-disable-line no-new
+      }).to.throw("GraphView requires series");
+    });
+  });
+
+  describe("onEvent", function () {
+
+    it("should call update with the value of each series", function () {
+      var graph = new GraphView(options);
+      sandbox.spy(graph, "update");
+
+      graph.onEvent({
+        mem: { heapUsed: 30, heapTotal: 120 },
+        custom: { queue: { depth: 4, wait: 2500 } }
+      });
+      expect(graph.update).to.have.been.calledOnce
+        .and.calledWithExactly({ 0: 4, 1: 25, 2: 2.5 });
+      expect(graph.node.setLabel).to.have.been
+        .calledWith(" queue depth (4), mem.heapUsed / mem.heapTotal * 100 (25%), "
+          + "custom.queue.wait (2.5ms) ");
+    });
+
+    it("should use zero for metrics that are not reported", function () {
+      var graph = new GraphView(options);
+      sandbox.spy(graph, "update");
+
+      graph.onEvent({});
+      expect(graph.update).to.have.been.calledOnce
+        .and.calledWithExactly({ 0: 0, 1: 0, 2: 0 });
+    });
+
+    it("should use zero for metrics that are not numbers", function () {
+      var graph = new GraphView(options);
+      sandbox.spy(graph, "update");
+
+      graph.onEvent({ custom: { queue: { depth: { average: 4, count: 2 } } } });
+      expect(graph.update).to.have.been.calledOnce
+        .and.calledWithExactly({ 0: 0, 1: 0, 2: 0 });
+    });
+
+    it("should show the highest value of highwater series in the rows displayed", function () {
+      var graph = new GraphView(options);
+
+      graph.onEvent({ custom: { queue: { wait: 3000 } } });
+      graph.onEvent({ custom: { queue: { wait: 1000 } } });
+      expect(graph.series[2].y).to.deep.equal([3, 3, 3, 3, 3, 3, 3, 3, 3, 3]);
+
+      // the highest value scrolls out of the graph after as many rows as it shows
+      for (var row = 0; row < 9; row++) {
+        graph.onEvent({ custom: { queue: { wait: 2000 } } });
+      }
+      expect(graph.series[2].y).to.deep.equal([2, 2, 2, 2, 2, 2, 2, 2, 2, 2]);
+    });
+  });
+
+  describe("onRefreshMetrics", function () {
+
+    it("should show the highest value of highwater series", function () {
+      var graph = new GraphView(options);
+      sandbox.stub(options.metricsProvider, "getMetrics").returns([
+        { custom: { queue: { depth: 1, wait: 1000 } } },
+        { custom: { queue: { depth: 2, wait: 3000 } } },
+        { custom: { queue: { depth: 3, wait: 2000 } } }
+      ]);
+
+      graph.onRefreshMetrics();
+      expect(graph.series[0].y.slice(-3)).to.deep.equal([1, 2, 3]);
+      expect(graph.series[2].y).to.deep.equal([3, 3, 3, 3, 3, 3, 3, 3, 3, 3]);
+    });
+  });
+
+  describe("isAlerted", function () {
+
+    it("should be affected by alerts on the metric of a series", function () {
+      var graph = new GraphView(options);
+
+      expect(graph.isAlerted({ rule: { metric: "custom.queue.wait", views: [] } })).to.be.true;
+      expect(graph.isAlerted({ rule: { metric: "custom.other", views: ["graph"] } })).to.be.true;
+      expect(graph.isAlerted({ rule: { metric: "mem.heapUsed", views: ["memoryGraph"] } }))
+        .to.be.false;
+    });
+  });
+});
@@ -0,0 +1,96 @@
+"use strict";
+
+var expect = require("chai").expect;
+var sinon = require("sinon");
+
+var BaseLineGraph = require("../../../lib/views/base-line-graph");
+var HeapSpacesView = require("../../../lib/views/heap-spaces-view");
+var utils = require("../../utils");
+var MetricsProvider = require("../../../lib/providers/metrics-provider");
+
+describe("HeapSpacesView", function () {
+
+  var sandbox;
+  var testContainer;
+  var options;
+
+  before(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  beforeEach(function () {
+    utils.stubWidgets(sandbox);
+    testContainer = utils.getTestContainer(sandbox);
+    options = {
+      parent: testContainer,
+      metricsProvider: new MetricsProvider(testContainer.screen),
+      layoutConfig: {
+        limit: 10,
+        getPosition: sandbox.stub().returns({ left: "75%" })
+      }
+    };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe("constructor", function () {
+
+    it("should inherit from BaseLineGraph, with a series for each heap space", function () {
+      var heapSpaces = new HeapSpacesView(options);
+      expect(heapSpaces).to.be.an.instanceof(HeapSpacesView);
+      expect(heapSpaces).to.be.an.instanceof(BaseLineGraph);
+
+      expect(heapSpaces).to.have.property("label", " heap spaces ");
+      expect(heapSpaces).to.have.property("unit", "MB");
+      expect(heapSpaces).to.have.property("series").that.has.keys(
+        "newSpace", "oldSpace", "codeSpace", "largeObjectSpace", "external", "arrayBuffers"
+      );
+    });
+  });
+
+  describe("onEvent", function () {
+
+    it("should call update with heap spaces in megabytes, buffers apart", function () {
+      var heapSpaces = new HeapSpacesView(options);
+      sandbox.spy(heapSpaces, "update");
+
+      /* eslint-disable no-magic-numbers */
+      heapSpaces.onEvent({
+        heap: {
+          newSpace: 1048576,
+          oldSpace: 5242880,
+          codeSpace: 524288,
+          largeObjectSpace: 0,
+          external: 106954752,
+          arrayBuffers: 104857600
+        }
+      });
+      expect(heapSpaces.update).to.have.been.calledOnce.and.calledWithExactly({
+        newSpace: 1,
+        oldSpace: 5,
+        codeSpace: 0.5,
+        largeObjectSpace: 0,
+        external: 2,
+        arrayBuffers: 100
+      });
+      /* eslint-enable no-magic-numbers */
+    });
+
+    it("should use zero when heap metrics are not reported", function () {
+      var heapSpaces = new HeapSpacesView(options);
+      sandbox.spy(heapSpaces, "update");
+
+      heapSpaces.onEvent({});
+      expect(heapSpaces.update).to.have.been.calledOnce.and.calledWithExactly({
+        newSpace: 0,
+        oldSpace: 0,
+        codeSpace: 0,
+        largeObjectSpace: 0,
+        external: 0,
+        arrayBuffers: 0
+      });
+    });
+  });
+});
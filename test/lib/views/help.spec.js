@@ -31,4 +31,18 @@ describe("HelpView", function () {
     expect(help.node).to.have.deep.property("options.content").that.contains("keybindings");
     expect(help.node).to.have.property("hidden", true);
   });
+
+  it("should fit the text in the box, without wrapping", function () {
+    var help = new HelpView({ parent: testContainer });
+    var options = help.node.options;
+    var lines = options.content.replace(/\{[^}]*\}/g, "").split("\n");
+    var borders = 2;
+
+    expect(lines).to.have.length.of.at.most(options.position.height - borders);
+    lines.forEach(function (line) {
+      expect(line).to.have.length.of.at.most(
+        options.position.width - borders - options.padding.left - options.padding.right
+      );
+    });
+  });
 });
@@ -0,0 +1,104 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var sinon = require("sinon");
+
+var InputView = require("../../../lib/views/input-view");
+var utils = require("../../utils");
+
+describe("InputView", function () {
+
+  var sandbox;
+  var testContainer;
+  var sendInput;
+  var inputView;
+
+  before(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  beforeEach(function () {
+    utils.stubWidgets(sandbox);
+    testContainer = utils.getTestContainer(sandbox);
+    sendInput = sandbox.stub().returns(true);
+    inputView = new InputView({ parent: testContainer, sendInput: sendInput });
+    sandbox.stub(inputView.textBox, "setValue");
+    sandbox.stub(inputView.textBox, "readInput");
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe("open", function () {
+
+    it("should send the lines read until the prompt is closed", function () {
+      inputView.open();
+      expect(inputView.node.show).to.have.been.calledOnce;
+      expect(inputView.textBox.readInput).to.have.been.calledOnce;
+
+      inputView.textBox.readInput.firstCall.args[0](null, "1 + 1");
+      expect(sendInput).to.have.been.calledWithExactly("1 + 1\n");
+      expect(inputView.textBox.readInput).to.have.been.calledTwice;
+
+      inputView.textBox.readInput.secondCall.args[0](null, null);
+      expect(inputView.node.hide).to.have.been.calledOnce;
+      expect(inputView.textBox.readInput).to.have.been.calledTwice;
+    });
+
+    it("should keep lines that could not be sent, out of the history", function () {
+      inputView = new InputView({
+        parent: testContainer,
+        sendInput: sendInput.returns(false),
+        getInputError: sandbox.stub().returns("app input ended")
+      });
+      sandbox.stub(inputView.textBox, "setValue");
+      sandbox.stub(inputView.textBox, "readInput");
+      inputView.open();
+
+      inputView.textBox.readInput.firstCall.args[0](null, "1 + 1");
+      expect(sendInput).to.have.been.calledWithExactly("1 + 1\n");
+      expect(inputView.notSent.setContent).to.have.been.calledOn(inputView.notSent)
+        .and.calledWithExactly(" app input ended, line not sent ");
+      expect(inputView.notSent.show).to.have.been.calledOn(inputView.notSent);
+      expect(inputView.textBox.setValue.lastCall).to.have.been.calledWithExactly("1 + 1");
+      expect(inputView.history).to.be.empty;
+
+      sendInput.returns(true);
+      inputView.textBox.readInput.secondCall.args[0](null, "1 + 1");
+      expect(inputView.textBox.setValue.lastCall).to.have.been.calledWithExactly("");
+      expect(inputView.history).to.deep.equal(["1 + 1"]);
+    });
+
+    it("should do nothing without an app to send input to", function () {
+      inputView = new InputView({ parent: testContainer });
+
+      inputView.open();
+      expect(inputView.node.show).to.not.have.been.called;
+    });
+  });
+
+  describe("browseHistory", function () {
+
+    it("should show the lines sent, then an empty line past the newest", function () {
+      inputView.send("a");
+      inputView.send("");
+      inputView.send("b");
+      inputView.send("b");
+      expect(inputView.history).to.deep.equal(["a", "b"]);
+      expect(sendInput).to.have.callCount(4);
+
+      inputView.historyIndex = inputView.history.length;
+      inputView.browseHistory(-1);
+      inputView.browseHistory(-1);
+      inputView.browseHistory(-1);
+      expect(inputView.textBox.setValue.args).to.deep.equal([["b"], ["a"]]);
+
+      inputView.browseHistory(1);
+      inputView.browseHistory(1);
+      expect(inputView.textBox.setValue.lastCall).to.have.been.calledWithExactly("");
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var sinon = require("sinon");
+var _ = require("lodash");
+
+var BaseLineGraph = require("../../../lib/views/base-line-graph");
+var LogRateView = require("../../../lib/views/log-rate-view");
+var utils = require("../../utils");
+var LogProvider = require("../../../lib/providers/log-provider");
+var MetricsProvider = require("../../../lib/providers/metrics-provider");
+
+describe("LogRateView", function () {
+
+  var sandbox;
+  var testContainer;
+  var options;
+
+  before(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  beforeEach(function () {
+    utils.stubWidgets(sandbox);
+    testContainer = utils.getTestContainer(sandbox);
+    options = {
+      parent: testContainer,
+      logProvider: new LogProvider(testContainer.screen, {
+        matches: { error: /ERROR/, warn: /WARN/ }
+      }),
+      metricsProvider: new MetricsProvider(testContainer.screen),
+      layoutConfig: {
+        limit: 10,
+        getPosition: sandbox.stub().returns({ left: "75%" })
+      }
+    };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe("constructor", function () {
+
+    it("should inherit from BaseLineGraph, with a series for each stream and match", function () {
+      var logRate = new LogRateView(options);
+      expect(logRate).to.be.an.instanceof(LogRateView);
+      expect(logRate).to.be.an.instanceof(BaseLineGraph);
+
+      expect(logRate).to.have.property("label", " log lines ");
+      expect(logRate).to.have.property("unit", "/s");
+      expect(logRate).to.have.property("series").that.has.keys(
+        "stdout", "stderr", "error", "warn"
+      );
+    });
+  });
+
+  describe("onEvent", function () {
+
+    it("should call update with the rates of lines logged", function () {
+      var logRate = new LogRateView(options);
+      sandbox.spy(logRate, "update");
+
+      logRate.onEvent({
+        log: { stdout: 12.5, stderr: 2, matches: { error: 0.5, warn: 1 } }
+      });
+      expect(logRate.update).to.have.been.calledOnce.and.calledWithExactly({
+        stdout: 12.5,
+        stderr: 2,
+        error: 0.5,
+        warn: 1
+      });
+    });
+
+    it("should use zero when log metrics are not reported", function () {
+      var logRate = new LogRateView(options);
+      sandbox.spy(logRate, "update");
+
+      logRate.onEvent({});
+      expect(logRate.update).to.have.been.calledOnce.and.calledWithExactly({
+        stdout: 0,
+        stderr: 0,
+        error: 0,
+        warn: 0
+      });
+    });
+  });
+
+  describe("onRefreshMetrics", function () {
+
+    it("should graph the rates of the aggregates", function () {
+      var logRate = new LogRateView(options);
+      sandbox.stub(options.metricsProvider, "getMetrics").returns([
+        { log: { stdout: 1, stderr: 0, matches: { error: 0, warn: 0 } } },
+        { log: { stdout: 3, stderr: 1, matches: { error: 1, warn: 0 } } }
+      ]);
+
+      logRate.onRefreshMetrics();
+      expect(_.takeRight(logRate.series.stdout.y, 3)).to.deep.equal([0, 1, 3]);
+      expect(_.takeRight(logRate.series.error.y, 3)).to.deep.equal([0, 0, 1]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/* eslint-disable no-magic-numbers */
+
+"use strict";
+
+var expect = require("chai").expect;
+var sinon = require("sinon");
+
+var StatusView = require("../../../lib/views/status-view");
+var utils = require("../../utils");
+
+describe("StatusView", function () {
+
+  var sandbox;
+  var testContainer;
+  var time = new Date(2017, 0, 1, 9, 5, 30).getTime();
+
+  before(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  beforeEach(function () {
+    utils.stubWidgets(sandbox);
+    testContainer = utils.getTestContainer(sandbox);
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it("should listen for app events", function () {
+    var statusView = new StatusView({ parent: testContainer });
+
+    expect(testContainer.screen.on).to.have.been.calledWithExactly("app", statusView._boundOnApp);
+    expect(testContainer.screen.append).to.have.been.calledWithExactly(statusView.node);
+  });
+
+  it("should show whether the app is running and how it exited", function () {
+    var statusView = new StatusView({ parent: testContainer });
+
+    statusView.onApp({ event: "start", pid: 12, restarts: 0 }, time);
+    expect(statusView.node.setContent).to.have.been
+      .calledWithExactly(" {green-fg}running{/}  app started (pid 12) at 09:05:30");
+
+    statusView.onApp({ event: "exit", code: 1, restartDelay: 1000 }, time);
+    expect(statusView.node.setContent).to.have.been.calledWithExactly(
+      " {red-fg}stopped{/}  app exited with code 1 at 09:05:30, restarting in 1s"
+    );
+
+    statusView.onApp({ event: "start", pid: 13, restarts: 1 }, time);
+    statusView.onApp({ event: "exit", code: null, signal: "SIGKILL" }, time);
+    expect(statusView.node.setContent).to.have.been.calledWithExactly(
+      " {red-fg}stopped{/}  app was killed by SIGKILL at 09:05:30 (2 exits)"
+    );
+    expect(testContainer.screen.render).to.have.callCount(4);
+  });
+});
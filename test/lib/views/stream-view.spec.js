@@ -1,9 +1,11 @@
 "use strict";
 
+var EventEmitter = require("events").EventEmitter;
 var expect = require("chai").expect;
 var sinon = require("sinon");
 
 var blessed = require("blessed");
+var _ = require("lodash");
 
 var StreamView = require("../../../lib/views/stream-view");
 var utils = require("../../utils");
@@ -54,6 +56,32 @@ describe("StreamView", function () {
         .calledWithExactly("stdout", sinon.match.func)
         .and.calledWithExactly("stderr", sinon.match.func);
     });
+
+    it("should log markers without filtering them", function () {
+      options.layoutConfig.view = { include: "^only this" };
+      var streamView = new StreamView(options);
+      sandbox.stub(streamView.node, "log");
+      sandbox.stub(streamView, "formatMarker").returns("--- app restarted ---");
+
+      options.logProvider.emit("marker", "app restarted");
+      expect(streamView.formatMarker).to.have.been.calledWithExactly("app restarted");
+      expect(streamView.node.log).to.have.been.calledOnce
+        .and.calledWithExactly("--- app restarted ---");
+      expect(StreamView.prototype.log).to.not.have.been.called;
+    });
+  });
+
+  describe("formatMarker", function () {
+
+    it("should draw markers as a separator line across the view", function () {
+      var streamView = new StreamView(options);
+      var width = 20;
+      sandbox.stub(streamView.node, "_getWidth").returns(width);
+
+      expect(streamView.formatMarker("restarted")).to.equal(
+        "{yellow-fg}\u2500\u2500\u2500 restarted \u2500\u2500\u2500{/}"
+      );
+    });
   });
 
   describe("log", function () {
@@ -105,5 +133,277 @@ describe("StreamView", function () {
       expect(streamView.node.log).to.have.been.calledOnce
         .and.calledWithExactly("but not THIS one\nor that one");
     });
+
+    it("should translate ANSI colors into tags", function () {
+      var streamView = new StreamView(options);
+
+      StreamView.prototype.log.restore();
+      sandbox.stub(streamView.node, "log");
+      streamView.log("\u001b[32m\u2713\u001b[39m passing\n\u001b[1;31mfailing\n");
+      expect(streamView.node.log).to.have.been.calledOnce.and.calledWithExactly(
+        "{green-fg}\u2713{/green-fg} passing\n{bold}{red-fg}failing{/}"
+      );
+    });
+  });
+
+  describe("json format", function () {
+
+    /* eslint-disable no-magic-numbers */
+
+    var time = new Date(2017, 0, 1, 9, 5, 30).getTime();
+    var lines = [
+      JSON.stringify({ level: 20, time: time, msg: "debugging" }),
+      JSON.stringify({ level: 40, time: time, msg: "slow {query}", ms: 1200 }),
+      "not json"
+    ].join("\n");
+
+    beforeEach(function () {
+      StreamView.prototype.log.restore();
+      options.layoutConfig.view = { format: "json", minLevel: "info", fields: ["ms"] };
+    });
+
+    it("should format JSON lines above the min level and pass other lines through", function () {
+      var streamView = new StreamView(options);
+      sandbox.stub(streamView.node, "log");
+
+      streamView.log(lines + "\n");
+      expect(streamView.node.log).to.have.been.calledOnce.and.calledWithExactly(
+        "09:05:30 {yellow-fg}WARN {/} slow {open}query{close} {cyan-fg}ms={/}1200\nnot json"
+      );
+    });
+
+    it("should load the log again when entries are expanded", function () {
+      var streamView = new StreamView(options);
+      sandbox.stub(streamView.node, "log");
+      options.logProvider._onLog("stdout", lines + "\n");
+
+      options.logProvider.toggleExpanded();
+
+      expect(options.logProvider.expanded).to.be.true;
+      expect(streamView.node.setContent).to.have.been.calledWithExactly("");
+      expect(streamView.node.log.lastCall.args[0]).to.contain("WARN {/} slow")
+        .and.contain("\n{open}\n  \"level\": 40,");
+    });
+
+    /* eslint-enable no-magic-numbers */
+  });
+
+  describe("time", function () {
+
+    /* eslint-disable no-magic-numbers */
+
+    var logTime = new Date(2017, 0, 1, 9, 5, 30).getTime();
+    var streamView;
+
+    beforeEach(function () {
+      StreamView.prototype.log.restore();
+      options.layoutConfig.view = { timestamps: true, scrollback: 3 };
+      options.metricsProvider = new EventEmitter();
+      streamView = new StreamView(options);
+      sandbox.stub(streamView.node, "log");
+      sandbox.stub(streamView.node, "scrollTo");
+    });
+
+    it("should show the time lines were logged at, keeping it within the scrollback", function () {
+      options.logProvider._onLog("stdout", "a\nb\n", logTime);
+      expect(streamView.node.log).to.have.been.calledWithExactly(
+        "{grey-fg}09:05:30{/grey-fg} a\n{grey-fg}09:05:30{/grey-fg} b"
+      );
+
+      sandbox.stub(streamView, "formatMarker").returns("--- app exited ---");
+      options.logProvider._onApp({ event: "exit", code: 0 }, logTime + 1000);
+      options.logProvider._onLog("stdout", "c\n", logTime + 2000);
+      expect(streamView.lineTimes).to.deep.equal([logTime, logTime + 1000, logTime + 2000]);
+    });
+
+    it("should scroll to the lines of the time window of the graphs", function () {
+      options.logProvider._onLog("stdout", "a\n", logTime);
+      options.logProvider._onLog("stdout", "b\nc\n", logTime + 1000);
+
+      options.metricsProvider.emit("timeWindow", { start: logTime + 1000, end: logTime + 2000 });
+      expect(streamView.node.scrollTo).to.have.been.calledWithExactly(2)
+        .and.calledWithExactly(1);
+      expect(streamView.node.setLabel).to.have.been
+        .calledWith(" stdout / stderr @ 09:05:31 +1s (2 lines) ");
+
+      streamView.node.getScrollHeight.returns(3);
+      options.metricsProvider.emit("timeWindow", null);
+      expect(streamView.node.scrollTo).to.have.been.calledWithExactly(3);
+      expect(streamView.node.setLabel).to.have.been.calledWith(" stdout / stderr ");
+    });
+
+    it("should load time windows older than the scrollback from the log history", function () {
+      options.logProvider._onLog("stdout", "a\n", logTime);
+      options.logProvider._onLog("stdout", "b\nc\nd\n", logTime + 5000);
+      expect(streamView.lineTimes).to.deep.equal([logTime + 5000, logTime + 5000, logTime + 5000]);
+
+      options.metricsProvider.emit("timeWindow", { start: logTime, end: logTime + 1000 });
+      expect(streamView.lineTimes).to.deep.equal([
+        logTime, logTime + 5000, logTime + 5000, logTime + 5000
+      ]);
+      expect(streamView.node.scrollTo).to.have.been.calledWithExactly(0);
+      expect(streamView.node.setLabel).to.have.been
+        .calledWith(" stdout / stderr @ 09:05:30 +1s (1 line) ");
+
+      options.metricsProvider.emit("timeWindow", null);
+      expect(streamView.lineTimes).to.deep.equal([logTime + 5000, logTime + 5000, logTime + 5000]);
+      expect(streamView.node.scrollback).to.equal(3);
+    });
+
+    /* eslint-enable no-magic-numbers */
+  });
+
+  describe("stack traces", function () {
+
+    /* eslint-disable no-magic-numbers */
+
+    var trace = "Error: bummer\n    at a (app.js:1:1)\n    at b (app.js:2:1)\n";
+    var folded = "Error: bummer {cyan-fg}[+2 frames]{/cyan-fg}";
+    var streamView;
+
+    beforeEach(function () {
+      StreamView.prototype.log.restore();
+      streamView = new StreamView(options);
+      sandbox.stub(streamView.node, "log");
+      sandbox.stub(streamView.node, "deleteLine");
+    });
+
+    it("should fold the frames of a stack trace into its first line", function () {
+      options.logProvider._onLog("stderr", "before\n" + trace + "after\n", 1000);
+      expect(streamView.node.log).to.have.been.calledOnce
+        .and.calledWithExactly("before\n" + folded + "\nafter");
+      expect(streamView.lineTimes).to.deep.equal([1000, 1000, 1000]);
+    });
+
+    it("should show the last line again when frames of its stack trace follow", function () {
+      options.logProvider._onLog("stderr", "Error: bummer\n", 1000);
+      options.logProvider._onLog("stderr", "    at a (app.js:1:1)\n    at b (app.js:2:1)\n", 2000);
+
+      expect(streamView.node.deleteLine).to.have.been.calledOnce.and.calledWithExactly(0, 1);
+      expect(streamView.node.log).to.have.been.calledTwice
+        .and.calledWithExactly("Error: bummer")
+        .and.calledWithExactly(folded);
+      expect(streamView.lineTimes).to.deep.equal([1000]);
+    });
+
+    it("should count repeated stack traces, moving them to the end", function () {
+      options.logProvider._onLog("stderr", trace + trace, 1000);
+      expect(streamView.node.log).to.have.been.calledOnce
+        .and.calledWithExactly(folded + " {yellow-fg}(x2){/yellow-fg}");
+
+      options.logProvider._onLog("stderr", "other\n", 2000);
+      options.logProvider._onLog("stderr", trace, 3000);
+      expect(streamView.node.deleteLine).to.have.been.calledOnce.and.calledWithExactly(0, 1);
+      expect(streamView.node.log).to.have.been
+        .calledWithExactly(folded + " {yellow-fg}(x3){/yellow-fg}");
+      expect(streamView.lineTimes).to.deep.equal([2000, 3000]);
+    });
+
+    it("should expand stack traces on enter", function () {
+      options.logProvider._onLog("stderr", trace + trace, 1000);
+      streamView.node.log.reset();
+
+      streamView.node.emit("key enter", "\r", { name: "enter", full: "enter" });
+      expect(streamView.expandTraces).to.be.true;
+      expect(streamView.node.setContent).to.have.been.calledWithExactly("");
+      expect(streamView.node.log).to.have.been.calledOnce.and.calledWithExactly(
+        "Error: bummer {yellow-fg}(x2){/yellow-fg}\n    at a (app.js:1:1)\n    at b (app.js:2:1)"
+      );
+      expect(testContainer.screen.render).to.have.been.called;
+    });
+
+    /* eslint-enable no-magic-numbers */
+  });
+
+  describe("search", function () {
+
+    /* eslint-disable no-magic-numbers */
+
+    var streamView;
+
+    beforeEach(function () {
+      StreamView.prototype.log.restore();
+      streamView = new StreamView(options);
+      sandbox.stub(streamView.node, "log");
+      sandbox.stub(streamView.node, "scrollTo");
+      sandbox.stub(streamView.node, "getLines")
+        .returns(["a error", "b", "c {red-fg}ERROR{/}", "d err{open}or"]);
+    });
+
+    it("should highlight matches outside of tags, loading the whole log again", function () {
+      options.logProvider._onLog("stdout", "an error here\nfine\n");
+      streamView.node.log.reset();
+
+      streamView.setSearch("error");
+      expect(streamView.node.setContent).to.have.been.calledWithExactly("");
+      expect(streamView.node.log).to.have.been.calledOnce
+        .and.calledWithExactly("an {inverse}error{/inverse} here\nfine");
+
+      streamView.log("{red-fg}Error{/} and error{open}\n");
+      expect(streamView.node.log).to.have.been.calledWithExactly(
+        "{red-fg}{inverse}Error{/inverse}{/} and {inverse}error{/inverse}{open}"
+      );
+    });
+
+    it("should show only matching lines when filtered", function () {
+      streamView.toggleFilter();
+      expect(streamView.searchFilter).to.not.be.ok;
+
+      streamView.setSearch("err(");
+      streamView.toggleFilter();
+      streamView.log("no match\nan err( here\n");
+      expect(streamView.node.log).to.have.been.calledWithExactly(
+        "an {inverse}err({/inverse} here"
+      );
+      expect(streamView.node.setLabel).to.have.been
+        .calledWith(" stdout / stderr /err( (no matches) [filtered] ");
+
+      streamView.setSearch("");
+      expect(streamView.searchFilter).to.be.false;
+      expect(streamView.node.setLabel).to.have.been.calledWith(" stdout / stderr ");
+    });
+
+    it("should search the whole log history, past the scrollback", function () {
+      options.layoutConfig.view = { scrollback: 10 };
+      streamView = new StreamView(options);
+      sandbox.stub(streamView.node, "log");
+      sandbox.stub(streamView.node, "scrollTo");
+      sandbox.stub(streamView.node, "getLines").returns([]);
+      options.logProvider._onLog("stdout", "an error\n");
+      _.times(50, function (index) {
+        options.logProvider._onLog("stdout", "line " + index + "\n");
+      });
+      expect(streamView.lineTimes).to.have.length(10);
+
+      streamView.setSearch("error");
+      expect(streamView.lineTimes).to.have.length(51);
+      expect(streamView.node.log.lastCall.args[0]).to.match(/^an {inverse}error{\/inverse}\n/);
+
+      streamView.toggleFilter();
+      expect(streamView.node.log.lastCall).to.have.been
+        .calledWithExactly("an {inverse}error{/inverse}");
+
+      streamView.setSearch("");
+      expect(streamView.lineTimes).to.have.length(10);
+    });
+
+    it("should jump between matches, wrapping around", function () {
+      streamView.setSearch("error");
+      expect(streamView.matchLine).to.equal(2);
+      expect(streamView.node.scrollTo).to.have.been.calledWithExactly(2);
+      expect(streamView.node.setLabel).to.have.been
+        .calledWith(" stdout / stderr /error (2 of 2) ");
+
+      streamView.jumpToMatch(1);
+      expect(streamView.matchLine).to.equal(0);
+      streamView.jumpToMatch(1);
+      expect(streamView.matchLine).to.equal(2);
+      streamView.jumpToMatch(-1);
+      expect(streamView.matchLine).to.equal(0);
+      expect(streamView.node.setLabel).to.have.been
+        .calledWith(" stdout / stderr /error (1 of 2) ");
+    });
+
+    /* eslint-enable no-magic-numbers */
   });
 });